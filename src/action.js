@@ -3,8 +3,30 @@ import { execSync } from "node:child_process";
 import { platform } from "node:os";
 import puppeteer from "puppeteer";
 import { buildFingerprint, applyFingerprint } from "./fingerprint.js";
-import { resolveSessionDir, restoreSession, applySavedStorage, saveSession, ensureDirectory } from "./sessionManager.js";
+import {
+  resolveSessionDir,
+  restoreSession,
+  applySavedStorage,
+  saveSession,
+  ensureDirectory,
+  appendExtracted
+} from "./sessionManager.js";
 import { humanClick, humanHover, humanScroll, humanType, waitMs } from "./humanize.js";
+import { isAssertionStep, runAssertion } from "./assertions.js";
+import { runExtraction } from "./extract.js";
+import { interpolate } from "./template.js";
+import { isSecretRef, redact, resolveValue } from "./secrets.js";
+import { evaluateCondition, isControlStep, markMatchedElements, resolveFlow } from "./flow.js";
+import { createLogger } from "./logger.js";
+import { startHarRecording } from "./har.js";
+import { startRecording } from "./recording.js";
+import { installRequestRouting } from "./network.js";
+import { restoreOriginState, trackVisitedOrigins } from "./originState.js";
+import { createHarReplay, loadHarArchive } from "./harReplay.js";
+import { captureFailureArtifacts, collectPageDiagnostics, describeDiagnostics } from "./diagnostics.js";
+
+const log = createLogger("action");
+const gridLog = createLogger("action:grid");
 
 // Cache screen dimensions to avoid repeated OS calls
 let cachedScreenDimensions = null;
@@ -38,7 +60,7 @@ function getScreenDimensions() {
           height = parseInt(match[2], 10);
         }
       } catch (err) {
-        console.warn("[action] Failed to get screen dimensions, using defaults:", err.message);
+        log.warn(`Failed to get screen dimensions, using defaults: ${err.message}`);
       }
     } else if (osPlatform === "darwin") {
       // macOS: Use system_profiler
@@ -50,7 +72,7 @@ function getScreenDimensions() {
           height = parseInt(match[2], 10);
         }
       } catch (err) {
-        console.warn("[action] Failed to get screen dimensions, using defaults:", err.message);
+        log.warn(`Failed to get screen dimensions, using defaults: ${err.message}`);
       }
     } else {
       // Linux: Use xrandr
@@ -62,14 +84,14 @@ function getScreenDimensions() {
           height = parseInt(match[2], 10);
         }
       } catch (err) {
-        console.warn("[action] Failed to get screen dimensions, using defaults:", err.message);
+        log.warn(`Failed to get screen dimensions, using defaults: ${err.message}`);
       }
     }
 
     cachedScreenDimensions = { width, height };
     return cachedScreenDimensions;
   } catch (err) {
-    console.warn("[action] Error getting screen dimensions, using defaults:", err.message);
+    log.warn(`Error getting screen dimensions, using defaults: ${err.message}`);
     return { width: 1920, height: 1080 };
   }
 }
@@ -171,7 +193,7 @@ function computeWindowArgs(index, settings, viewport) {
   
   // Validate index is within bounds
   if (index >= visibleCount) {
-    console.warn(`[action:grid] Warning: Index ${index} is >= visibleCount ${visibleCount}, using index 0`);
+    gridLog.warn(`Index ${index} is >= visibleCount ${visibleCount}, using index 0`);
     index = 0;
   }
   
@@ -235,7 +257,7 @@ function computeWindowArgs(index, settings, viewport) {
   
   // Ensure minimum window size
   if (finalWindowWidth < 200 || finalWindowHeight < 150) {
-    console.warn(`[action:grid] Warning: Window ${index} (row ${row}, col ${col}) size is very small: ${finalWindowWidth}×${finalWindowHeight}`);
+    gridLog.warn(`Window ${index} (row ${row}, col ${col}) size is very small: ${finalWindowWidth}×${finalWindowHeight}`);
   }
 
   // Calculate viewport size (window minus chrome)
@@ -260,16 +282,16 @@ function computeWindowArgs(index, settings, viewport) {
   const isWithinBounds = rightEdge <= screenDims.width && bottomEdge <= screenDims.height;
   
   if (index === 0) {
-    console.log(`[action:grid] Screen dimensions: ${screenDims.width}×${screenDims.height}`);
-    console.log(`[action:grid] Grid layout: ${cols} columns × ${rows} rows`);
-    console.log(`[action:grid] Available space: ${availableWidth}×${availableHeight} (with ${margin}px margin)`);
+    gridLog.info(`Screen dimensions: ${screenDims.width}×${screenDims.height}`);
+    gridLog.info(`Grid layout: ${cols} columns × ${rows} rows`);
+    gridLog.info(`Available space: ${availableWidth}×${availableHeight} (with ${margin}px margin)`);
   }
   
-  console.log(`[action:grid] Window ${index} (row ${row}, col ${col}): position (${finalLeft}, ${finalTop}), size ${finalWindowWidth}×${finalWindowHeight}, viewport ${actualViewportWidth}×${actualViewportHeight}`);
-  console.log(`[action:grid] Window ${index} bounds check: right=${rightEdge}/${screenDims.width}, bottom=${bottomEdge}/${screenDims.height}, within=${isWithinBounds}`);
+  gridLog.debug(`Window ${index} (row ${row}, col ${col}): position (${finalLeft}, ${finalTop}), size ${finalWindowWidth}×${finalWindowHeight}, viewport ${actualViewportWidth}×${actualViewportHeight}`);
+  gridLog.debug(`Window ${index} bounds check: right=${rightEdge}/${screenDims.width}, bottom=${bottomEdge}/${screenDims.height}, within=${isWithinBounds}`);
   
   if (!isWithinBounds) {
-    console.error(`[action:grid] ERROR: Window ${index} exceeds screen bounds!`);
+    gridLog.error(`Window ${index} exceeds screen bounds!`);
   }
 
   return {
@@ -281,7 +303,65 @@ function computeWindowArgs(index, settings, viewport) {
   };
 }
 
-async function performActionStep(page, sessionDir, step) {
+async function performControlStep(page, sessionDir, step, context, stepPath) {
+  const withVars = (vars, extra = {}) => ({ ...context, ...extra, vars: { ...context.vars, ...vars } });
+
+  switch (step.type) {
+    case "if": {
+      const matched = await evaluateCondition(page, step.condition, context);
+      const branch = matched ? "then" : "else";
+      await runSteps(page, sessionDir, step[branch] ?? [], context, `${stepPath}.${branch}`);
+      break;
+    }
+    case "repeat": {
+      const times = Number(step.times ?? 1);
+      for (let i = 0; i < times; i += 1) {
+        await runSteps(page, sessionDir, step.steps ?? [], withVars({ index: i, iteration: i + 1 }), `${stepPath}.${i}`);
+      }
+      break;
+    }
+    case "forEach": {
+      let items;
+      if (Array.isArray(step.items)) {
+        items = step.items;
+      } else if (step.selector) {
+        context.loopSeq += 1;
+        items = await markMatchedElements(page, step.selector, context.loopSeq);
+      } else {
+        throw new Error("forEach action requires items or selector");
+      }
+      if (step.limit !== undefined) {
+        items = items.slice(0, Number(step.limit));
+      }
+      const name = step.as ?? "item";
+      for (const [i, item] of items.entries()) {
+        await runSteps(
+          page,
+          sessionDir,
+          step.steps ?? [],
+          withVars({ [name]: item, index: i, iteration: i + 1 }),
+          `${stepPath}.${i}`
+        );
+      }
+      break;
+    }
+    case "call": {
+      if (!step.flow) throw new Error("call action requires flow");
+      const flowSteps = resolveFlow(context.flows, step.flow, context.depth);
+      await runSteps(page, sessionDir, flowSteps, withVars(step.with ?? {}, { depth: context.depth + 1 }), `${stepPath}.${step.flow}`);
+      break;
+    }
+    default:
+      throw new Error(`Unsupported control type: ${step.type}`);
+  }
+}
+
+async function performActionStep(page, sessionDir, step, context, stepPath) {
+  if (isControlStep(step)) {
+    await performControlStep(page, sessionDir, step, context, stepPath);
+    return { skipped: false };
+  }
+
   // Helper function to check if element exists
   async function elementExists(selector) {
     try {
@@ -319,7 +399,8 @@ async function performActionStep(page, sessionDir, step) {
       }
       if (!clickSuccess) {
         if (step.optional) {
-          console.log(`[action] Optional click skipped: no matching element found for selectors: ${clickSelectors.join(', ')}`);
+          stepLogger(context, stepPath).info(`Optional click skipped: no matching element found for selectors: ${clickSelectors.join(', ')}`);
+          return { skipped: true };
         } else {
           throw new Error(`No matching element found for click action with selectors: ${clickSelectors.join(', ')}`);
         }
@@ -331,16 +412,19 @@ async function performActionStep(page, sessionDir, step) {
       if (step.optional) {
         const exists = await elementExists(step.selector);
         if (!exists) {
-          console.log(`[action] Optional hover skipped: element not found for selector: ${step.selector}`);
-          break;
+          stepLogger(context, stepPath).info(`Optional hover skipped: element not found for selector: ${step.selector}`);
+          return { skipped: true };
         }
       }
       await humanHover(page, step.selector, step.dwellMs ?? 600);
       break;
     case "type":
-      if (!step.selector || typeof step.text !== "string") {
+      // "text": "{{pin}}" resolves to the data row's number as-is.
+      if (typeof step.text === "number") step.text = String(step.text);
+      if (!step.selector || (typeof step.text !== "string" && !isSecretRef(step.text))) {
         throw new Error("type action requires selector and text");
       }
+      const typeText = await resolveValue(step.text, context.settings);
       // Try multiple selectors (comma-separated) until one works
       const typeSelectors = step.selector.split(',').map(s => s.trim());
       let typeSuccess = false;
@@ -348,7 +432,7 @@ async function performActionStep(page, sessionDir, step) {
         try {
           const exists = await elementExists(selector);
           if (exists) {
-            await humanType(page, selector, step.text, { clear: step.clear });
+            await humanType(page, selector, typeText, { clear: step.clear });
             typeSuccess = true;
             break;
           }
@@ -359,7 +443,8 @@ async function performActionStep(page, sessionDir, step) {
       }
       if (!typeSuccess) {
         if (step.optional) {
-          console.log(`[action] Optional type skipped: no matching element found for selectors: ${typeSelectors.join(', ')}`);
+          stepLogger(context, stepPath).info(`Optional type skipped: no matching element found for selectors: ${typeSelectors.join(', ')}`);
+          return { skipped: true };
         } else {
           throw new Error(`No matching element found for type action with selectors: ${typeSelectors.join(', ')}`);
         }
@@ -389,18 +474,147 @@ async function performActionStep(page, sessionDir, step) {
       const filename = step.filename ?? `action-${Date.now()}.png`;
       const filePath = path.join(sessionDir, filename);
       await page.screenshot({ path: filePath, fullPage: true });
+      return { skipped: false, screenshot: filename };
+    }
+    case "extract": {
+      const data = await runExtraction(page, step);
+      context.extracted.push({
+        name: step.name ?? `extract-${context.extracted.length + 1}`,
+        url: page.url(),
+        extractedAt: new Date().toISOString(),
+        // Data-driven runs: which input row produced the record, so the dataset joins back to the input.
+        ...(context.rowIndex === null || context.rowIndex === undefined ? {} : { rowIndex: context.rowIndex, row: context.row }),
+        data
+      });
       break;
     }
     default:
+      if (isAssertionStep(step)) {
+        await runAssertion(page, step);
+        break;
+      }
       throw new Error(`Unsupported action type: ${step.type}`);
   }
+  return { skipped: false };
+}
+
+function stepLogger(context, stepPath) {
+  return context.log.child({ step: stepPath });
 }
 
-export async function runAction({ profileId, site, settings, steps, index = 0, runId, headlessOverride = null }) {
+async function executeStep(page, sessionDir, rawStep, index, stepPath, context) {
+  const startedAt = Date.now();
+  const step = interpolate(rawStep, context);
+  const result = { index, path: stepPath, type: step.type, status: "passed", startedAt: new Date(startedAt).toISOString() };
+  // Recorded before running so nested steps of control flow follow their parent.
+  context.results.push(result);
+  context.control?.updateWorker(context.workerKey, { step: { path: stepPath, type: step.type } });
+  try {
+    const outcome = await performActionStep(page, sessionDir, step, context, stepPath);
+    if (outcome?.skipped) {
+      result.status = "skipped";
+    }
+    if (outcome?.screenshot) {
+      result.screenshot = outcome.screenshot;
+    }
+  } catch (err) {
+    // Optional steps never fail the worker; keep the reason for the report.
+    result.status = step.optional ? "skipped" : "failed";
+    result.error = redact(err.message);
+    if (result.status === "failed") {
+      const log = stepLogger(context, stepPath);
+      log.error(`step ${stepPath} (${step.type}) failed: ${result.error}`, { stepType: step.type });
+      try {
+        result.failure = await captureFailureArtifacts(page, sessionDir, {
+          stepPath,
+          step,
+          error: err.message,
+          diagnostics: context.diagnostics
+        });
+        log.info(`failure artifacts saved to ${result.failure.dir}`);
+      } catch (captureErr) {
+        log.warn(`could not save failure artifacts: ${captureErr.message}`);
+      }
+    }
+  }
+  result.durationMs = Date.now() - startedAt;
+  return result;
+}
+
+// Under `controller.js debug` every step pauses first and may be skipped,
+// edited or retried; otherwise this is executeStep.
+async function runStep(page, sessionDir, rawStep, index, stepPath, context) {
+  const debug = context.debugger;
+  if (!debug) {
+    return executeStep(page, sessionDir, rawStep, index, stepPath, context);
+  }
+  const execute = (step) => performActionStep(page, sessionDir, interpolate(step, context), context, `${stepPath}.debug`);
+  const decision = await debug.beforeStep({ page, rawStep, stepPath, execute });
+  if (decision === "quit") {
+    context.interrupted = true;
+    return null;
+  }
+  if (decision === "skip") {
+    const result = { index, path: stepPath, type: rawStep.type, status: "skipped", error: "skipped in debugger", durationMs: 0 };
+    context.results.push(result);
+    return result;
+  }
+  for (;;) {
+    const firstResult = context.results.length;
+    const result = await executeStep(page, sessionDir, rawStep, index, stepPath, context);
+    if (result.status !== "failed") return result;
+    const next = await debug.afterFailure({ page, rawStep, stepPath, error: result.error, execute });
+    if (next === "quit") {
+      context.interrupted = true;
+      return result;
+    }
+    if (next !== "retry") return result;
+    // The retry replaces the failed attempt (and whatever it nested) in the results.
+    context.results.length = firstResult;
+  }
+}
+
+export async function runSteps(page, sessionDir, steps, context, parentPath = null) {
+  for (const [index, step] of steps.entries()) {
+    // The step in flight finishes; nothing new starts after a stop request (or quitting the debugger).
+    if (context.control?.stopRequested || context.interrupted) {
+      context.interrupted = true;
+      return;
+    }
+    const stepPath = parentPath === null ? String(index) : `${parentPath}.${index}`;
+    await runStep(page, sessionDir, step, index, stepPath, context);
+  }
+}
+
+export async function runAction({
+  profileId,
+  site,
+  settings,
+  steps,
+  flows = {},
+  vars = {},
+  rowIndex = null,
+  row = null,
+  index = 0,
+  runId,
+  headlessOverride = null,
+  replayHar = null,
+  debug = null,
+  control = null
+}) {
   const sessionDir = resolveSessionDir(settings, runId, profileId);
   await ensureDirectory(sessionDir);
+  const workerLog = createLogger("action", { runId, profileId, site: site.id, ...(rowIndex === null ? {} : { rowIndex }) });
 
-  const session = await restoreSession(sessionDir);
+  let session;
+  try {
+    session = await restoreSession(sessionDir, settings);
+  } catch (err) {
+    // An encrypted session without its key: fail the worker instead of running logged out.
+    workerLog.error("failed", err);
+    return { status: "error", error: err, recordings: [], diagnostics: null, replay: null };
+  }
+  session.problems.forEach(({ file, error }) => workerLog.warn(`saved session ${file} ${error}; starting without it`));
   const fingerprint = buildFingerprint(settings, session.meta?.fingerprint ?? null);
 
   const windowConfig = computeWindowArgs(index, settings, fingerprint.viewport);
@@ -408,7 +622,7 @@ export async function runAction({ profileId, site, settings, steps, index = 0, r
   
   // Ensure viewport is valid (has width and height)
   if (!viewport || !viewport.width || !viewport.height) {
-    console.warn(`[action:${profileId}] Invalid viewport, using defaults`);
+    workerLog.warn("Invalid viewport, using defaults");
     viewport = { width: 1280, height: 720, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true };
   }
   
@@ -418,10 +632,10 @@ export async function runAction({ profileId, site, settings, steps, index = 0, r
   // Log grid info for debugging (only once, when first window is calculated)
   if (index === 0 && cachedGridLayout) {
     const screenDims = getScreenDimensions();
-    console.log(`[action:grid] Screen: ${screenDims.width}x${screenDims.height}`);
-    console.log(`[action:grid] Grid: ${cachedGridLayout.cols} columns × ${cachedGridLayout.rows} rows for ${settings.visibleCount || 1} windows`);
-    console.log(`[action:grid] Window size: ${cachedGridLayout.baseWindowWidth}×${cachedGridLayout.baseWindowHeight} (base)`);
-    console.log(`[action:grid] Available space: ${cachedGridLayout.availableWidth}×${cachedGridLayout.availableHeight}`);
+    gridLog.info(`Screen: ${screenDims.width}x${screenDims.height}`);
+    gridLog.info(`Grid: ${cachedGridLayout.cols} columns × ${cachedGridLayout.rows} rows for ${settings.visibleCount || 1} windows`);
+    gridLog.info(`Window size: ${cachedGridLayout.baseWindowWidth}×${cachedGridLayout.baseWindowHeight} (base)`);
+    gridLog.info(`Available space: ${cachedGridLayout.availableWidth}×${cachedGridLayout.availableHeight}`);
   }
 
   const launchOptions = {
@@ -435,41 +649,62 @@ export async function runAction({ profileId, site, settings, steps, index = 0, r
       "--no-default-browser-check",
       "--no-first-run",
       ...windowConfig.args
-    ]
+    ],
+    // The controller handles stop signals itself: the step in flight finishes and the session is saved first.
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false
   };
 
+  // Data rows may share a session, so each row needs its own profile directory.
+  const workerKey = `action:${rowIndex === null ? profileId : `${profileId}-row${rowIndex}`}`;
+  control?.updateWorker(workerKey, { kind: "action", profileId, siteId: site.id, rowIndex, phase: "launching" });
   if (settings.userDataDirBase) {
-    launchOptions.userDataDir = path.resolve(settings.userDataDirBase, `${runId}-action-${profileId}`);
+    launchOptions.userDataDir = path.resolve(settings.userDataDirBase, `${runId}-${workerKey.replace(":", "-")}`);
   }
 
   let browser;
+  let recorder = null;
+  let diagnostics = null;
+  let replay = null;
   try {
-    console.log(`[action:${profileId}] launching visible browser`);
+    // --replay-har wins over the site's own replayHar archive.
+    const replayPath = replayHar ?? site.replayHar ?? null;
+    if (replayPath) {
+      replay = createHarReplay(await loadHarArchive(replayPath));
+    }
+
+    workerLog.info("launching visible browser");
     browser = await puppeteer.launch(launchOptions);
+    control?.registerBrowser(workerKey, browser);
     const [page] = await browser.pages();
+    diagnostics = collectPageDiagnostics(page, { worker: workerKey });
+    const harEnabled = Boolean(settings.actionHarEnabled);
+    if (harEnabled) {
+      page._har = await startHarRecording(page, settings);
+    }
+    const recordingLabel = `${workerKey.split(":")[1]}-${new Date().toISOString().replace(/[-:.]/g, "")}`;
+    recorder = await startRecording(page, sessionDir, settings, recordingLabel);
 
-    // Block CloudFlare challenge resources BEFORE navigation
-    await page.setRequestInterception(true).catch(() => {});
-    page.on("request", (request) => {
-      const url = request.url();
-      // Block CloudFlare challenge resources and detection scripts
-      if (
-        url.includes("/cdn-cgi/challenge-platform/") ||
-        (url.includes("/cdn-cgi/") && url.includes("/js/")) ||
-        url.includes("challenges.cloudflare.com")
-      ) {
-        request.abort().catch(() => {});
-      } else {
-        request.continue().catch(() => {});
-      }
-    });
+    // Network rules (Cloudflare challenge blocking lives in settings.json) and HAR replay before navigation
+    await installRequestRouting(page, { site, settings, replay, logContext: { runId, profileId, site: site.id } });
+    if (replay) {
+      workerLog.info(`replaying network traffic from ${replay.summary().har}`);
+    }
+
+    // Storage of the other origins the session visited (IndexedDB, caches, SSO
+    // providers) goes back before the first navigation; the start page's below.
+    trackVisitedOrigins(page, Object.keys(session.origins));
+    const originFailures = await restoreOriginState(page, session.origins, settings, { timeoutMs: settings.actionTimeoutSec * 1000 });
+    originFailures.forEach(({ origin, error }) => workerLog.warn(`saved storage of ${origin} not restored: ${error}`));
 
     // Disable JavaScript temporarily to avoid CloudFlare detection
     await page.setJavaScriptEnabled(false);
 
     await applyFingerprint(page, fingerprint);
 
-    console.log(`[action:${profileId}] initial navigation to ${site.startUrl}`);
+    workerLog.info(`initial navigation to ${site.startUrl}`);
+    control?.updateWorker(workerKey, { phase: "navigating" });
     await page.goto(site.startUrl, {
       waitUntil: "networkidle2",
       timeout: settings.actionTimeoutSec * 1000
@@ -481,25 +716,51 @@ export async function runAction({ profileId, site, settings, steps, index = 0, r
     await applySavedStorage(page, session, site.startUrl);
     await page.reload({ waitUntil: "networkidle2" });
 
-    console.log(`[action:${profileId}] executing ${steps.length} step(s)`);
-    for (const step of steps) {
-      try {
-        await performActionStep(page, sessionDir, step);
-      } catch (stepErr) {
-        console.error(`[action:${profileId}] step failed`, step, stepErr);
-      }
+    workerLog.info(`executing ${steps.length} step(s)`);
+    control?.updateWorker(workerKey, { phase: "steps", stepsTotal: steps.length });
+    const context = { profileId, workerKey, log: workerLog, settings, control, debugger: debug, diagnostics, flows, extracted: [], results: [], vars: { ...vars }, rowIndex, row, depth: 0, loopSeq: 0 };
+    await runSteps(page, sessionDir, steps, context);
+    const stepResults = context.results;
+
+    control?.updateWorker(workerKey, { phase: "saving", step: null });
+    await saveSession(page, sessionDir, settings, { includeHar: harEnabled, siteId: site.id, timeoutMs: settings.actionTimeoutSec * 1000 });
+    await appendExtracted(sessionDir, context.extracted, settings.extractFormat);
+    workerLog.info("session updated.");
+    const problems = describeDiagnostics(diagnostics.counts);
+    if (problems) {
+      workerLog.warn(`page reported ${problems} (see console.ndjson / network-errors.json)`);
     }
-
-    await saveSession(page, sessionDir, { includeHar: false });
-    console.log(`[action:${profileId}] session updated.`);
-    return { status: "ok", sessionDir };
+    const failedCount = stepResults.filter((result) => result.status === "failed").length;
+    let status = "ok";
+    if (failedCount > 0) {
+      status = "failed";
+    } else if (context.interrupted) {
+      status = "stopped";
+    }
+    const recordings = recorder ? await recorder.stop({ failed: status === "failed" }) : [];
+    const replaySummary = replay ? replay.summary() : null;
+    if (replaySummary?.unmatched > 0) {
+      workerLog.warn(`replay: ${replaySummary.unmatched} request(s) had no recorded response and were blocked`);
+    }
+    return {
+      status,
+      sessionDir,
+      steps: stepResults,
+      extractedCount: context.extracted.length,
+      recordings,
+      diagnostics: diagnostics.counts,
+      replay: replaySummary
+    };
   } catch (err) {
-    console.error(`[action:${profileId}] failed:`, err);
-    return { status: "error", error: err };
+    workerLog.error("failed", err);
+    const recordings = recorder ? await recorder.stop({ failed: true }).catch(() => []) : [];
+    return { status: "error", error: err, recordings, diagnostics: diagnostics?.counts ?? null, replay: replay?.summary() ?? null };
   } finally {
     if (browser) {
       await browser.close().catch(() => {});
+      control?.unregisterBrowser(workerKey);
     }
+    control?.removeWorker(workerKey);
   }
 }
 
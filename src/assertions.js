@@ -0,0 +1,153 @@
+import { waitMs } from "./humanize.js";
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_MS = 100;
+
+export const ASSERTION_TYPES = ["assertText", "assertVisible", "assertUrl", "assertTitle", "assertCount", "assertAttribute"];
+
+export function isAssertionStep(step) {
+  return ASSERTION_TYPES.includes(step?.type);
+}
+
+// Compares a value against the `equals` / `contains` / `matches` fields of a step.
+// Returns a short description of the expectation when it fails, null when it passes.
+export function matchValue(actual, { equals, contains, matches } = {}) {
+  const value = actual === null || actual === undefined ? "" : String(actual);
+  if (equals !== undefined && value !== String(equals)) {
+    return `expected "${equals}"`;
+  }
+  if (contains !== undefined && !value.includes(String(contains))) {
+    return `expected to contain "${contains}"`;
+  }
+  if (matches !== undefined && !new RegExp(matches).test(value)) {
+    return `expected to match /${matches}/`;
+  }
+  return null;
+}
+
+async function pollUntil(check, timeoutMs) {
+  // Navigation can destroy the execution context mid-check; treat that as "not yet".
+  const safeCheck = () => check().catch((err) => ({ pass: false, message: err.message }));
+  const deadline = Date.now() + timeoutMs;
+  let last = await safeCheck();
+  while (!last.pass && Date.now() < deadline) {
+    await waitMs(POLL_INTERVAL_MS);
+    last = await safeCheck();
+  }
+  return last;
+}
+
+async function readText(page, selector) {
+  return page.evaluate((sel) => {
+    const element = sel ? document.querySelector(sel) : document.body;
+    return element ? element.innerText ?? element.textContent : null;
+  }, selector ?? null);
+}
+
+async function isVisible(page, selector) {
+  return page.evaluate((sel) => {
+    const element = document.querySelector(sel);
+    if (!element) return false;
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    return style.visibility !== "hidden" && style.display !== "none" && rect.width > 0 && rect.height > 0;
+  }, selector);
+}
+
+// Bounds may come from templates or JSON strings ("{{n}}", "3"); blank and
+// non-numeric values are a step error rather than a count that never matches.
+function toBound(step, key) {
+  const value = step[key];
+  if (value === undefined) return undefined;
+  const bound = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof bound !== "number" || !Number.isFinite(bound)) {
+    throw new Error(`assertCount ${key} must be a number, got ${JSON.stringify(value)}`);
+  }
+  return bound;
+}
+
+function checkCount(count, { count: expected, min, max }) {
+  if (expected !== undefined && count !== expected) return `expected ${expected}`;
+  if (min !== undefined && count < min) return `expected at least ${min}`;
+  if (max !== undefined && count > max) return `expected at most ${max}`;
+  return null;
+}
+
+function buildCheck(page, step) {
+  switch (step.type) {
+    case "assertText": {
+      const expectation = { ...step, contains: step.contains ?? step.text };
+      return async () => {
+        const actual = await readText(page, step.selector);
+        if (actual === null) {
+          return { pass: false, message: `element not found for selector: ${step.selector}` };
+        }
+        const failure = matchValue(actual, expectation);
+        return { pass: !failure, message: failure && `text ${failure}, got "${actual.slice(0, 200)}"` };
+      };
+    }
+    case "assertVisible": {
+      if (!step.selector) throw new Error("assertVisible requires selector");
+      const expected = step.visible ?? true;
+      return async () => {
+        const visible = await isVisible(page, step.selector);
+        return {
+          pass: visible === expected,
+          message: `${step.selector} expected to be ${expected ? "visible" : "hidden"}`
+        };
+      };
+    }
+    case "assertUrl":
+      return async () => {
+        const actual = page.url();
+        const failure = matchValue(actual, step);
+        return { pass: !failure, message: failure && `url ${failure}, got "${actual}"` };
+      };
+    case "assertTitle":
+      return async () => {
+        const actual = await page.title();
+        const failure = matchValue(actual, step);
+        return { pass: !failure, message: failure && `title ${failure}, got "${actual}"` };
+      };
+    case "assertCount": {
+      if (!step.selector) throw new Error("assertCount requires selector");
+      const bounds = { count: toBound(step, "count"), min: toBound(step, "min"), max: toBound(step, "max") };
+      return async () => {
+        const count = await page.$$eval(step.selector, (elements) => elements.length);
+        const failure = checkCount(count, bounds);
+        return { pass: !failure, message: failure && `${step.selector} count ${failure}, got ${count}` };
+      };
+    }
+    case "assertAttribute": {
+      if (!step.selector || !step.attribute) throw new Error("assertAttribute requires selector and attribute");
+      return async () => {
+        const actual = await page.evaluate(
+          (sel, attr) => {
+            const element = document.querySelector(sel);
+            return element ? element.getAttribute(attr) : undefined;
+          },
+          step.selector,
+          step.attribute
+        );
+        if (actual === undefined) {
+          return { pass: false, message: `element not found for selector: ${step.selector}` };
+        }
+        if (actual === null) {
+          return { pass: false, message: `${step.selector} has no attribute "${step.attribute}"` };
+        }
+        const failure = matchValue(actual, step);
+        return { pass: !failure, message: failure && `${step.attribute} ${failure}, got "${actual}"` };
+      };
+    }
+    default:
+      throw new Error(`Unsupported assertion type: ${step.type}`);
+  }
+}
+
+export async function runAssertion(page, step) {
+  const check = buildCheck(page, step);
+  const result = await pollUntil(check, step.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  if (!result.pass) {
+    throw new Error(`${step.type} failed: ${result.message}`);
+  }
+}
@@ -2,7 +2,12 @@ import path from "node:path";
 import puppeteer from "puppeteer";
 import { setTimeout as delay } from "node:timers/promises";
 import { buildFingerprint, applyFingerprint } from "./fingerprint.js";
-import { ensureDirectory, resolveSessionDir, saveSession } from "./sessionManager.js";
+import { ensureDirectory, resolveSessionDir, saveSession, snapshotSessionSave } from "./sessionManager.js";
+import { createLogger } from "./logger.js";
+import { startHarRecording } from "./har.js";
+import { trackVisitedOrigins } from "./originState.js";
+import { collectPageDiagnostics, describeDiagnostics } from "./diagnostics.js";
+import { installRequestRouting } from "./network.js";
 
 function randomBetween(min, max) {
   return Math.random() * (max - min) + min;
@@ -31,75 +36,14 @@ function buildLaunchArgs({ headless = true, windowBounds }) {
   return args;
 }
 
-async function applyResourcePolicy(page, site, settings) {
-  const globalPolicy = settings.blockResources ?? {};
-  const sitePolicy = site.resourcePolicy ?? {};
-  const allowedTypes = sitePolicy.allowedResourceTypes;
-  const blockedTypes = sitePolicy.blockedResourceTypes ?? [];
-
-  if (
-    (!globalPolicy || Object.values(globalPolicy).every((value) => !value)) &&
-    (!sitePolicy || (!allowedTypes || allowedTypes.length === 0) && blockedTypes.length === 0)
-  ) {
-    return;
-  }
-
-  await page.setRequestInterception(true).catch(() => {});
-
-  page.on("request", (request) => {
-    const type = request.resourceType();
-    const url = request.url();
-
-    let frameHostname;
-    try {
-      const frameUrl = new URL(request.frame()?.url() ?? "");
-      frameHostname = frameUrl.hostname;
-    } catch {
-      frameHostname = undefined;
-    }
-
-    let shouldBlock = false;
-
-    if (Array.isArray(allowedTypes) && allowedTypes.length > 0 && !allowedTypes.includes(type)) {
-      shouldBlock = true;
-    }
-
-    if (!shouldBlock && blockedTypes.includes(type)) {
-      shouldBlock = true;
-    }
-
-    if (!shouldBlock && globalPolicy) {
-      if (globalPolicy.images && type === "image") {
-        shouldBlock = true;
-      }
-      if (globalPolicy.media && (type === "media" || type === "font")) {
-        shouldBlock = true;
-      }
-      if (globalPolicy.thirdParty) {
-        try {
-          const requestHost = new URL(url).hostname;
-          if (frameHostname && requestHost && requestHost !== frameHostname) {
-            shouldBlock = true;
-          }
-        } catch {
-          shouldBlock = false;
-        }
-      }
-    }
-
-    if (shouldBlock) {
-      request.abort().catch(() => {});
-    } else {
-      request.continue().catch(() => {});
-    }
-  });
-}
-
-export async function runCollector({ profileId, site, settings, runId }) {
+export async function runCollector({ profileId, site, settings, runId, control = null }) {
   const sessionDir = resolveSessionDir(settings, runId, profileId);
   await ensureDirectory(sessionDir);
+  const log = createLogger("collector", { runId, profileId, site: site.id });
 
   const fingerprint = buildFingerprint(settings);
+  const workerKey = `collector:${profileId}`;
+  control?.updateWorker(workerKey, { kind: "collector", profileId, siteId: site.id, phase: "launching" });
 
   const launchOptions = {
     headless: settings.collectorHeadless ?? true,
@@ -116,34 +60,30 @@ export async function runCollector({ profileId, site, settings, runId }) {
   }
 
   let browser;
+  let diagnostics = null;
   try {
-    console.log(`[collector:${profileId}] launching browser`);
+    log.info("launching browser");
     browser = await puppeteer.launch(launchOptions);
+    control?.registerBrowser(workerKey, browser);
     const [page] = await browser.pages();
+    diagnostics = collectPageDiagnostics(page, { worker: workerKey });
+    const harEnabled = Boolean(settings.collectorHarEnabled);
+    if (harEnabled) {
+      page._har = await startHarRecording(page, settings);
+    }
 
-    // Block CloudFlare challenge resources BEFORE any navigation
-    await page.setRequestInterception(true).catch(() => {});
-    page.on("request", (request) => {
-      const url = request.url();
-      // Block CloudFlare challenge resources
-      if (
-        url.includes("/cdn-cgi/challenge-platform/") ||
-        (url.includes("/cdn-cgi/") && url.includes("/js/")) ||
-        url.includes("challenges.cloudflare.com")
-      ) {
-        request.abort().catch(() => {});
-      } else {
-        request.continue().catch(() => {});
-      }
-    });
+    // Network rules (Cloudflare challenge blocking lives in settings.json) and resource policy, before any navigation
+    await installRequestRouting(page, { site, settings, resourcePolicy: true, logContext: { runId, profileId, site: site.id } });
+
+    trackVisitedOrigins(page);
 
     // Disable JavaScript to avoid CloudFlare detection
     await page.setJavaScriptEnabled(false);
 
     await applyFingerprint(page, fingerprint);
-    await applyResourcePolicy(page, site, settings);
 
-    console.log(`[collector:${profileId}] navigating to ${site.startUrl}`);
+    log.info(`navigating to ${site.startUrl}`);
+    control?.updateWorker(workerKey, { phase: "navigating" });
     await page.goto(site.startUrl, {
       waitUntil: "networkidle2",
       timeout: settings.collectorTimeoutSec * 1000
@@ -152,19 +92,29 @@ export async function runCollector({ profileId, site, settings, runId }) {
     // Re-enable JavaScript after navigation
     await page.setJavaScriptEnabled(true);
 
+    control?.updateWorker(workerKey, { phase: "idle" });
     await randomIdleDelay(settings);
 
-    await saveSession(page, sessionDir, { includeHar: Boolean(settings.collectorHarEnabled) });
+    control?.updateWorker(workerKey, { phase: "saving" });
+    await saveSession(page, sessionDir, settings, { includeHar: harEnabled, siteId: site.id, timeoutMs: settings.collectorTimeoutSec * 1000 });
+    // Action workers overwrite the session; this copy is what `sessions diff` compares them with.
+    await snapshotSessionSave(sessionDir, "collector");
 
-    console.log(`[collector:${profileId}] session saved to ${sessionDir}`);
-    return { status: "ok", sessionDir, fingerprint };
+    log.info(`session saved to ${sessionDir}`);
+    const problems = describeDiagnostics(diagnostics.counts);
+    if (problems) {
+      log.warn(`page reported ${problems} (see console.ndjson / network-errors.json)`);
+    }
+    return { status: "ok", sessionDir, fingerprint, diagnostics: diagnostics.counts };
   } catch (err) {
-    console.error(`[collector:${profileId}] failed:`, err);
-    return { status: "error", error: err, profileId, site };
+    log.error("failed", err);
+    return { status: "error", error: err, profileId, site, diagnostics: diagnostics?.counts ?? null };
   } finally {
     if (browser) {
       await browser.close().catch(() => {});
+      control?.unregisterBrowser(workerKey);
     }
+    control?.removeWorker(workerKey);
   }
 }
 
@@ -0,0 +1,41 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { fileURLToPath } from "node:url";
+import { configureLogging } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+// PUPETER_CONFIG_DIR points a run at another config folder (the test suite uses generated ones).
+const configDir = path.resolve(rootDir, process.env.PUPETER_CONFIG_DIR ?? "config");
+
+async function loadJson(file) {
+  return fs.readJson(path.join(configDir, file));
+}
+
+export async function loadConfigs() {
+  const [settings, sites, actions, flows] = await Promise.all([
+    loadJson("settings.json"),
+    loadJson("sites.json"),
+    loadJson("actions.json"),
+    // Shared sub-flows are optional; older checkouts have no flows.json.
+    loadJson("flows.json").catch(() => ({}))
+  ]);
+
+  if (!settings.sessionsDir) {
+    settings.sessionsDir = "./sessions";
+  }
+  configureLogging({ level: settings.logLevel, format: settings.logFormat });
+
+  return { settings, sites, actions, flows };
+}
+
+// Rewrite actions.json / flows.json (`record --write`, `debug` saves) in the repo's two-space layout.
+export async function saveActions(actions) {
+  await fs.writeJson(path.join(configDir, "actions.json"), actions, { spaces: 2 });
+  return path.join(configDir, "actions.json");
+}
+
+export async function saveFlows(flows) {
+  await fs.writeJson(path.join(configDir, "flows.json"), flows, { spaces: 2 });
+  return path.join(configDir, "flows.json");
+}
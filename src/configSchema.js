@@ -0,0 +1,531 @@
+// Schema for the JSON files under config/. Each field spec is either a type
+// name or an object { type, required, enum, min, items, check }.
+
+const RESOURCE_TYPES = [
+  "document",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "texttrack",
+  "xhr",
+  "fetch",
+  "prefetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "signedexchange",
+  "ping",
+  "cspviolationreport",
+  "preflight",
+  "other"
+];
+
+const range = { type: "array", check: checkRange };
+const positive = { type: "number", min: 0 };
+
+const NETWORK_RULE_SCHEMA = {
+  description: "string",
+  url: "string",
+  urlRegex: { type: "string", check: checkRegex },
+  method: { type: "any", check: checkStringOrList },
+  resourceType: { type: "any", check: checkResourceTypes },
+  action: { type: "string", required: true, enum: ["fulfill", "abort", "continue"] },
+  status: { type: "integer", min: 100 },
+  file: "string",
+  body: "string",
+  json: "any",
+  contentType: "string",
+  headers: { type: "object", check: checkStringMap },
+  setHeaders: { type: "object", check: checkStringMap },
+  removeHeaders: { type: "array", items: "string" },
+  errorCode: {
+    type: "string",
+    enum: [
+      "aborted",
+      "accessdenied",
+      "addressunreachable",
+      "blockedbyclient",
+      "blockedbyresponse",
+      "connectionaborted",
+      "connectionclosed",
+      "connectionfailed",
+      "connectionrefused",
+      "connectionreset",
+      "internetdisconnected",
+      "namenotresolved",
+      "timedout",
+      "failed"
+    ]
+  },
+  delayMs: positive
+};
+
+const networkRules = { type: "array", items: { type: "object", fields: NETWORK_RULE_SCHEMA, check: checkNetworkRule } };
+
+const count = { type: "integer", min: 0 };
+// assertCount bounds may also be numeric strings; runAssertion converts them.
+const countBound = { type: "integer|string", check: checkCountBound };
+
+const SETTINGS_SCHEMA = {
+  sessionsDir: "string",
+  collectorsCount: count,
+  visibleCount: count,
+  collectorTimeoutSec: positive,
+  actionTimeoutSec: positive,
+  collectorSessionDurationSec: positive,
+  collectorSwapIntervalSec: positive,
+  actionSessionDurationSec: positive,
+  actionSwapIntervalSec: positive,
+  collectorIdleDelayRange: range,
+  actionIdleDelayRange: range,
+  enableScheduling: "boolean",
+  staggerDelayMs: positive,
+  maxCollectorConcurrency: { type: "integer", min: 1 },
+  maxActionConcurrency: { type: "integer", min: 1 },
+  blockResources: {
+    type: "object",
+    fields: { images: "boolean", media: "boolean", thirdParty: "boolean" }
+  },
+  networkRules,
+  sessionRetentionHours: positive,
+  sessionKeepLastPerSite: count,
+  extractFormat: { type: "string", enum: ["json", "ndjson"] },
+  secretsFile: "string",
+  sessionEncryption: { type: "object", fields: { enabled: "boolean", keyFile: "string" } },
+  sessionState: { type: "object", fields: { indexedDB: "boolean", cacheStorage: "boolean", maxCacheEntryBytes: count, originTimeoutSec: positive } },
+  logLevel: { type: "string", enum: ["debug", "info", "warn", "error", "silent"] },
+  logFormat: { type: "string", enum: ["text", "json"] },
+  userDataDirBase: "string",
+  defaultViewport: {
+    type: "object",
+    fields: { width: { type: "integer", min: 1 }, height: { type: "integer", min: 1 } }
+  },
+  collectorHeadless: "boolean",
+  collectorHarEnabled: "boolean",
+  actionHarEnabled: "boolean",
+  recording: {
+    type: "object",
+    fields: {
+      video: { type: "string", enum: ["off", "always", "on-failure"] },
+      trace: { type: "string", enum: ["off", "always", "on-failure"] },
+      videoFormat: { type: "string", enum: ["webm", "frames"] },
+      ffmpegPath: "string",
+      frameQuality: { type: "integer", min: 1 },
+      maxFrames: { type: "integer", min: 1 }
+    }
+  },
+  har: {
+    type: "object",
+    fields: {
+      includeBodies: "boolean",
+      maxBodyBytes: { type: "integer", min: 0 },
+      maxTotalBodyBytes: { type: "integer", min: 0 },
+      maxEntries: { type: "integer", min: 1 },
+      redactHeaders: { type: "array", items: "string" }
+    }
+  },
+  defaultUserAgent: "string",
+  fingerprint: {
+    type: "object",
+    fields: {
+      userAgents: { type: "array", items: "string" },
+      platforms: { type: "array", items: "string" },
+      vendors: { type: "array", items: "string" },
+      languages: { type: "array", items: { type: "array", items: "string" } },
+      timezoneIds: { type: "array", items: "string" },
+      doNotTrackOptions: "array",
+      screenResolutions: {
+        type: "array",
+        items: { type: "object", fields: { width: { type: "integer", required: true }, height: { type: "integer", required: true } } }
+      },
+      devicePixelRatios: { type: "array", items: "number" },
+      windowBounds: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: { outerWidth: "integer", outerHeight: "integer", innerWidth: "integer", innerHeight: "integer" }
+        }
+      },
+      hardwareConcurrencyRange: range,
+      deviceMemoryRange: range,
+      canvasFingerprints: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            vendor: { type: "string", required: true },
+            renderer: { type: "string", required: true },
+            seed: { type: "string", required: true }
+          }
+        }
+      },
+      plugins: { type: "array", items: "array" },
+      mimeTypes: { type: "array", items: "array" },
+      mediaDevices: { type: "array", items: "array" },
+      permissions: { type: "array", items: "object" },
+      batteryProfiles: { type: "array", items: "object" },
+      maxTouchPoints: { type: "array", items: "integer" }
+    }
+  }
+};
+
+const SITE_SCHEMA = {
+  id: { type: "string", required: true, check: (value) => (value.trim() ? null : "must not be empty") },
+  startUrl: { type: "string", required: true, check: checkUrl },
+  resourcePolicy: {
+    type: "object",
+    fields: {
+      allowedResourceTypes: { type: "array", items: { type: "string", enum: RESOURCE_TYPES } },
+      blockedResourceTypes: { type: "array", items: { type: "string", enum: RESOURCE_TYPES } }
+    }
+  },
+  networkRules,
+  replayHar: "string",
+  sessionCheck: {
+    type: "object",
+    fields: {
+      url: "string",
+      selector: "string",
+      cookie: "string",
+      minValidMinutes: positive,
+      timeoutMs: positive,
+      loginFlow: "string"
+    },
+    check: checkSessionCheck
+  }
+};
+
+const COMMON_STEP_FIELDS = {
+  type: { type: "string", required: true },
+  optional: "boolean",
+  timeoutMs: positive,
+  description: "string"
+};
+
+const MATCHER_FIELDS = { equals: "any", contains: "any", matches: { type: "string", check: checkRegex } };
+const stepList = { type: "array", items: "object" };
+
+const STEP_SCHEMAS = {
+  wait: { ms: positive },
+  scroll: { distance: "number", durationMs: positive },
+  click: { selector: { type: "string", required: true }, human: "boolean", afterDelayMs: positive },
+  hover: { selector: { type: "string", required: true }, dwellMs: positive },
+  type: {
+    selector: { type: "string", required: true },
+    text: { type: "string|secret", required: true },
+    clear: "boolean"
+  },
+  key: { key: { type: "string", required: true } },
+  screenshot: { filename: "string" },
+  extract: {
+    selector: { type: "string", required: true },
+    name: "string",
+    multiple: "boolean",
+    fields: { type: "object", check: checkExtractFields }
+  },
+  assertText: { selector: "string", text: "any", ...MATCHER_FIELDS },
+  assertVisible: { selector: { type: "string", required: true }, visible: "boolean" },
+  assertUrl: { ...MATCHER_FIELDS },
+  assertTitle: { ...MATCHER_FIELDS },
+  assertCount: { selector: { type: "string", required: true }, count: countBound, min: countBound, max: countBound },
+  assertAttribute: {
+    selector: { type: "string", required: true },
+    attribute: { type: "string", required: true },
+    ...MATCHER_FIELDS
+  },
+  if: { condition: { type: "object", required: true, check: checkCondition }, then: stepList, else: stepList },
+  repeat: { times: { type: "integer", min: 0, required: true }, steps: stepList },
+  forEach: { items: "array", selector: "string", as: "string", limit: count, steps: stepList },
+  call: { flow: { type: "string", required: true }, with: "object" }
+};
+
+export const STEP_TYPES = Object.keys(STEP_SCHEMAS);
+
+function formatPath(basePath, key) {
+  if (typeof key === "number") return `${basePath}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${basePath}.${key}` : `${basePath}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "any") return true;
+  if (type === "string|secret") {
+    return typeof value === "string" || (typeOf(value) === "object" && typeof value.secret === "string");
+  }
+  if (type.includes("|")) {
+    return type.split("|").some((part) => matchesType(value, part));
+  }
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function hasPlaceholder(value) {
+  return typeof value === "string" && value.includes("{{");
+}
+
+function checkCountBound(value) {
+  const bound = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return Number.isInteger(bound) && bound >= 0 ? null : "must be a whole number >= 0";
+}
+
+function checkRange(value) {
+  if (value.length !== 2 || !value.every((entry) => typeof entry === "number") || value[0] > value[1]) {
+    return "must be [min, max] with min <= max";
+  }
+  return null;
+}
+
+function checkUrl(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:", "file:"].includes(url.protocol) ? null : `unsupported protocol ${url.protocol}`;
+  } catch {
+    return "must be an absolute URL";
+  }
+}
+
+function checkRegex(value) {
+  if (hasPlaceholder(value)) return null;
+  try {
+    new RegExp(value);
+    return null;
+  } catch (err) {
+    return `invalid regular expression: ${err.message}`;
+  }
+}
+
+function checkStringOrList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.length > 0 && values.every((entry) => typeof entry === "string") ? null : "must be a string or an array of strings";
+}
+
+function checkResourceTypes(value) {
+  const problem = checkStringOrList(value);
+  if (problem) return problem;
+  const unknown = (Array.isArray(value) ? value : [value]).find((entry) => !RESOURCE_TYPES.includes(entry));
+  return unknown ? `unknown resource type "${unknown}"` : null;
+}
+
+function checkStringMap(value) {
+  const invalid = Object.entries(value).find(([, entry]) => typeof entry !== "string");
+  return invalid ? `header "${invalid[0]}" must be a string` : null;
+}
+
+function checkNetworkRule(rule) {
+  const bodies = ["file", "body", "json"].filter((key) => rule[key] !== undefined);
+  if (bodies.length > 1) return `use only one of ${bodies.join(", ")}`;
+  if (rule.action !== "fulfill" && (bodies.length > 0 || rule.status !== undefined || rule.headers !== undefined)) {
+    return "status, headers, file, body and json only apply to fulfill rules";
+  }
+  if (rule.action !== "continue" && (rule.setHeaders || rule.removeHeaders)) {
+    return "setHeaders and removeHeaders only apply to continue rules";
+  }
+  if (rule.action !== "abort" && rule.errorCode !== undefined) {
+    return "errorCode only applies to abort rules";
+  }
+  return null;
+}
+
+function checkSessionCheck(value) {
+  const kinds = ["selector", "cookie"].filter((kind) => value[kind] !== undefined);
+  if (kinds.length !== 1) return "must have exactly one of selector (with an optional url) or cookie";
+  if (value.cookie !== undefined && (value.url !== undefined || value.timeoutMs !== undefined)) {
+    return "url and timeoutMs only apply to selector checks";
+  }
+  if (value.selector !== undefined && value.minValidMinutes !== undefined) {
+    return "minValidMinutes only applies to cookie checks";
+  }
+  return null;
+}
+
+function checkExtractFields(value) {
+  const invalid = Object.entries(value).find(([, spec]) => typeof spec !== "string" && typeOf(spec) !== "object");
+  return invalid ? `field "${invalid[0]}" must be a selector string or an object` : null;
+}
+
+function checkCondition(value) {
+  const kinds = ["exists", "url", "extracted"].filter((kind) => value[kind] !== undefined);
+  if (kinds.length !== 1) return "must have exactly one of exists, url or extracted";
+  return null;
+}
+
+export function createReport() {
+  const problems = [];
+  return {
+    problems,
+    error(file, jsonPath, message) {
+      problems.push({ level: "error", file, path: jsonPath, message });
+    },
+    warn(file, jsonPath, message) {
+      problems.push({ level: "warning", file, path: jsonPath, message });
+    }
+  };
+}
+
+function validateValue(report, file, jsonPath, value, rawSpec) {
+  const spec = typeof rawSpec === "string" ? { type: rawSpec } : rawSpec;
+  // Templated values are only known at run time.
+  if (hasPlaceholder(value) && spec.type !== "string") return;
+  if (!matchesType(value, spec.type)) {
+    report.error(file, jsonPath, `expected ${spec.type.replace("|", " or ")}, got ${typeOf(value)}`);
+    return;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    report.error(file, jsonPath, `must be one of ${spec.enum.join(", ")}`);
+  }
+  if (spec.min !== undefined && typeof value === "number" && value < spec.min) {
+    report.error(file, jsonPath, `must be >= ${spec.min}`);
+  }
+  if (spec.check) {
+    const message = spec.check(value);
+    if (message) report.error(file, jsonPath, message);
+  }
+  if (spec.fields) {
+    validateFields(report, file, jsonPath, value, spec.fields);
+  }
+  if (spec.items) {
+    value.forEach((item, index) => validateValue(report, file, formatPath(jsonPath, index), item, spec.items));
+  }
+}
+
+function validateFields(report, file, jsonPath, object, fields) {
+  Object.entries(fields).forEach(([key, spec]) => {
+    const required = typeof spec === "object" && spec.required;
+    if (object[key] === undefined) {
+      if (required) report.error(file, formatPath(jsonPath, key), "is required");
+      return;
+    }
+    validateValue(report, file, formatPath(jsonPath, key), object[key], spec);
+  });
+  Object.keys(object)
+    .filter((key) => !(key in fields))
+    .forEach((key) => report.warn(file, formatPath(jsonPath, key), "unknown field"));
+}
+
+export function validateStep(report, file, jsonPath, step, { flows = {} } = {}) {
+  if (typeOf(step) !== "object") {
+    report.error(file, jsonPath, `expected object, got ${typeOf(step)}`);
+    return;
+  }
+  if (typeof step.type !== "string") {
+    report.error(file, formatPath(jsonPath, "type"), "is required");
+    return;
+  }
+  const schema = STEP_SCHEMAS[step.type];
+  if (!schema) {
+    report.error(file, formatPath(jsonPath, "type"), `unknown step type "${step.type}" (expected one of ${STEP_TYPES.join(", ")})`);
+    return;
+  }
+  validateFields(report, file, jsonPath, step, { ...COMMON_STEP_FIELDS, ...schema });
+
+  if (["assertUrl", "assertTitle"].includes(step.type)) {
+    if (step.equals === undefined && step.contains === undefined && step.matches === undefined) {
+      report.error(file, jsonPath, `${step.type} needs equals, contains or matches`);
+    }
+  }
+  if (step.type === "assertCount" && step.count === undefined && step.min === undefined && step.max === undefined) {
+    report.error(file, jsonPath, "assertCount needs count, min or max");
+  }
+  if (step.type === "forEach" && step.items === undefined && step.selector === undefined) {
+    report.error(file, jsonPath, "forEach needs items or selector");
+  }
+  if (step.type === "call" && typeof step.flow === "string" && !hasPlaceholder(step.flow) && !Array.isArray(flows[step.flow])) {
+    report.error(file, formatPath(jsonPath, "flow"), `unknown flow "${step.flow}"`);
+  }
+
+  ["then", "else", "steps"].forEach((key) => {
+    if (Array.isArray(step[key])) {
+      validateSteps(report, file, formatPath(jsonPath, key), step[key], { flows });
+    }
+  });
+}
+
+export function validateSteps(report, file, jsonPath, steps, options) {
+  steps.forEach((step, index) => validateStep(report, file, formatPath(jsonPath, index), step, options));
+}
+
+export function validateConfigs({ settings, sites, actions, flows = {} }) {
+  const report = createReport();
+
+  if (typeOf(settings) !== "object") {
+    report.error("settings.json", "$", "expected object");
+  } else {
+    validateFields(report, "settings.json", "$", settings, SETTINGS_SCHEMA);
+  }
+
+  const siteIds = new Set();
+  if (!Array.isArray(sites)) {
+    report.error("sites.json", "$", "expected array of sites");
+  } else {
+    if (sites.length === 0) report.error("sites.json", "$", "at least one site is required");
+    sites.forEach((site, index) => {
+      const sitePath = formatPath("$", index);
+      if (typeOf(site) !== "object") {
+        report.error("sites.json", sitePath, `expected object, got ${typeOf(site)}`);
+        return;
+      }
+      validateFields(report, "sites.json", sitePath, site, SITE_SCHEMA);
+      if (typeof site.id === "string") {
+        if (siteIds.has(site.id)) report.error("sites.json", formatPath(sitePath, "id"), `duplicate site id "${site.id}"`);
+        siteIds.add(site.id);
+      }
+    });
+  }
+
+  const flowMap = typeOf(flows) === "object" ? flows : {};
+  if (typeOf(flows) !== "object") {
+    report.error("flows.json", "$", "expected object mapping flow names to step lists");
+  }
+  if (Array.isArray(sites)) {
+    sites.forEach((site, index) => {
+      const loginFlow = site?.sessionCheck?.loginFlow;
+      if (typeof loginFlow === "string" && !flowMap[loginFlow]) {
+        report.error("sites.json", `${formatPath("$", index)}.sessionCheck.loginFlow`, `unknown flow "${loginFlow}"`);
+      }
+    });
+  }
+  Object.entries(flowMap).forEach(([name, steps]) => {
+    const flowPath = formatPath("$", name);
+    if (!Array.isArray(steps)) {
+      report.error("flows.json", flowPath, "expected array of steps");
+      return;
+    }
+    validateSteps(report, "flows.json", flowPath, steps, { flows: flowMap });
+  });
+
+  if (typeOf(actions) !== "object") {
+    report.error("actions.json", "$", "expected object mapping site ids to step lists");
+    return report.problems;
+  }
+  Object.entries(actions).forEach(([siteId, steps]) => {
+    const sitePath = formatPath("$", siteId);
+    if (!siteIds.has(siteId)) {
+      report.warn("actions.json", sitePath, `no site with id "${siteId}" in sites.json`);
+    }
+    if (!Array.isArray(steps)) {
+      report.error("actions.json", sitePath, "expected array of steps");
+      return;
+    }
+    validateSteps(report, "actions.json", sitePath, steps, { flows: flowMap });
+  });
+  siteIds.forEach((siteId) => {
+    const steps = actions[siteId];
+    if (!Array.isArray(steps) || steps.length === 0) {
+      report.warn("actions.json", formatPath("$", siteId), `site "${siteId}" has no action steps; visible workers will run zero steps`);
+    }
+  });
+
+  return report.problems;
+}
+
+export function formatProblem(problem) {
+  return `${problem.level === "error" ? "error  " : "warning"} config/${problem.file} ${problem.path}: ${problem.message}`;
+}
@@ -1,57 +1,98 @@
-import path from "node:path";
 import fs from "fs-extra";
-import { fileURLToPath } from "node:url";
-import { setTimeout as delay } from "node:timers/promises";
+import path from "node:path";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 import { runCollector } from "./collector.js";
 import { runAction } from "./action.js";
-import { ensureDirectory, pruneOldSessions, resolveRunDir } from "./sessionManager.js";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const rootDir = path.join(__dirname, "..");
-const configDir = path.join(rootDir, "config");
-const stateDir = path.join(rootDir, "tmp");
-const stateFile = path.join(stateDir, "controller-state.json");
-
-async function loadJson(file) {
-  return fs.readJson(path.join(configDir, file));
-}
+import { loadDataRows, parseVarOptions } from "./dataSource.js";
+import { formatProblem, validateConfigs } from "./configSchema.js";
+import { installConsoleRedaction, readSecretsFile, writeSecretsFile } from "./secrets.js";
+import { loadConfigs, saveActions, saveFlows } from "./config.js";
+import { closeRunLog, createLogger, openRunLog } from "./logger.js";
+import { isRunActive, readState, requestRunStop, saveState, stopRequestFile } from "./runState.js";
+import { saveRunResults, writeRunReport } from "./report.js";
+import { addDiagnosticsCounts } from "./diagnostics.js";
+import { loadHarArchive } from "./harReplay.js";
+import { recordWorkflow } from "./recorder.js";
+import { createStepDebugger } from "./debugger.js";
+import { checkSession } from "./sessionCheck.js";
+import { BUNDLE_EXTENSION, copySession, exportSession, importSession, resolveSessionReference } from "./sessionBundle.js";
+import {
+  SESSION_FILTER_STATUSES,
+  describeSession,
+  diffSessionStates,
+  filterSessions,
+  formatSessionDiff,
+  formatSessionTable,
+  parseAge,
+  readSessionState
+} from "./sessionInspect.js";
+import {
+  collectSessions,
+  ensureDirectory,
+  findLatestSessionRun,
+  generateRunId,
+  pruneOldSessions,
+  rekeySessions,
+  requireSessionKey,
+  resolveRunDir,
+  resolveSessionDir,
+  resolveSessionsBaseDir,
+  validateRunId,
+  writeRunDataset
+} from "./sessionManager.js";
+import { createControlServer } from "./server.js";
+import { formatStatus } from "./statusView.js";
+import { createRunControl, interruptibleDelay, killProcess } from "./supervisor.js";
 
-async function loadConfigs() {
-  const [settings, sites, actions] = await Promise.all([
-    loadJson("settings.json"),
-    loadJson("sites.json"),
-    loadJson("actions.json")
-  ]);
+const SESSION_NEW_KEY_ENV = "PUPETER_SESSION_NEW_KEY";
+const STOP_POLL_INTERVAL_MS = 1000;
+const STATE_PUBLISH_INTERVAL_MS = 500;
 
-  if (!settings.sessionsDir) {
-    settings.sessionsDir = "./sessions";
-  }
+installConsoleRedaction();
 
-  return { settings, sites, actions };
-}
+const log = createLogger("controller");
 
-async function saveState(state) {
-  await fs.mkdir(stateDir, { recursive: true });
-  await fs.writeJson(stateFile, state, { spaces: 2 });
+function reportConfigProblems(configs) {
+  const problems = validateConfigs(configs);
+  problems.forEach((problem) => {
+    if (problem.level === "error") {
+      log.error(formatProblem(problem));
+    } else {
+      log.warn(formatProblem(problem));
+    }
+  });
+  return problems.filter((problem) => problem.level === "error").length;
 }
 
-async function readState() {
-  try {
-    return await fs.readJson(stateFile);
-  } catch {
-    return { status: "idle", updatedAt: new Date().toISOString() };
-  }
+// Coalesces bursts of progress updates into at most one state write per interval.
+function createThrottledPublisher(publish, intervalMs) {
+  let timer = null;
+  let lastRun = 0;
+  return {
+    schedule() {
+      if (timer) return;
+      const wait = Math.max(0, lastRun + intervalMs - Date.now());
+      timer = setTimeout(() => {
+        timer = null;
+        lastRun = Date.now();
+        publish();
+      }, wait);
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
 }
 
-async function runWithConcurrency(items, limit, iterator) {
+async function runWithConcurrency(items, limit, iterator, control = null) {
   const results = [];
   const queue = [...items];
   const active = [];
 
   async function runNext() {
-    if (queue.length === 0) return;
+    if (queue.length === 0 || control?.stopRequested) return;
     const item = queue.shift();
     const promise = iterator(item).then((result) => {
       results.push(result);
@@ -69,6 +110,17 @@ async function runWithConcurrency(items, limit, iterator) {
   return results;
 }
 
+// Runs jobs with the same key one after another (in the order they were
+// queued) while jobs with other keys run alongside.
+function createKeyedQueue() {
+  const tails = new Map();
+  return (key, job) => {
+    const run = (tails.get(key) ?? Promise.resolve()).then(job);
+    tails.set(key, run.catch(() => {}));
+    return run;
+  };
+}
+
 function buildCollectorPlan(count, sites, startSequence) {
   const plan = [];
   for (let i = 0; i < count; i += 1) {
@@ -86,25 +138,155 @@ function computeCycleCount(durationSec, swapSec) {
   return Math.max(1, Math.ceil(durationSec / swapSec));
 }
 
-function generateRunId() {
-  const iso = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-");
-  return `run-${iso.slice(0, 15)}`;
+// The site a stored session belongs to: the siteId in its meta.json, or for
+// sessions saved before that was recorded, the one site on the same host.
+function findSessionSite(sites, meta) {
+  if (meta.siteId) return sites.find((site) => site.id === meta.siteId) ?? null;
+  const hostOf = (url) => {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return null;
+    }
+  };
+  const matches = sites.filter((site) => hostOf(site.startUrl) === hostOf(meta.startUrl));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// --session references, checked before anything starts. Each one becomes a
+// profile of the run named after the reference (library/admin -> library-admin).
+async function resolveStoredSessions(settings, sites, references) {
+  const profileIds = new Set();
+  return Promise.all(
+    references.map(async (reference) => {
+      const sourceDir = resolveSessionReference(settings, reference);
+      const meta = await fs.readJson(path.join(sourceDir, "meta.json")).catch(() => null);
+      if (!meta) {
+        throw new Error(`no saved session at ${reference} (${sourceDir})`);
+      }
+      const site = findSessionSite(sites, meta);
+      if (!site) {
+        throw new Error(
+          meta.siteId
+            ? `session ${reference} belongs to site "${meta.siteId}", which is not in sites.json`
+            : `cannot tell which site session ${reference} belongs to (no siteId in its meta.json and no single site on ${meta.startUrl})`
+        );
+      }
+      const profileId = reference.replace("/", "-");
+      if (profileIds.has(profileId)) {
+        throw new Error(`session ${reference} is given more than once`);
+      }
+      profileIds.add(profileId);
+      return { reference, profileId, site };
+    })
+  );
+}
+
+// Checks a collected session against its site's sessionCheck. A session that
+// is not valid is rebuilt once, by the site's loginFlow (run as an action
+// worker on the same profile) or else by a fresh collector, and checked again.
+async function checkAndRepairSession(session, { settings, flows, runId, vars, headlessActions, control }) {
+  const { profileId, site, sessionDir } = session;
+  const first = await checkSession({ site, settings, sessionDir, profileId, runId, control });
+  if (first.status === "valid" || control.stopRequested) {
+    return { profileId, site, sessionDir, status: first.status, checks: [first], repair: null };
+  }
+
+  const loginFlow = site.sessionCheck.loginFlow;
+  log.info(`profile ${profileId}: session ${first.status}, re-running ${loginFlow ? `login flow "${loginFlow}"` : "the collector"}`);
+  const outcome = loginFlow
+    ? await runAction({
+        profileId,
+        site,
+        settings,
+        steps: [{ type: "call", flow: loginFlow }],
+        flows,
+        vars,
+        runId,
+        headlessOverride: headlessActions,
+        control
+      })
+    : await runCollector({ profileId, site, settings, runId, control });
+  const repair = {
+    by: loginFlow ? `loginFlow:${loginFlow}` : "collector",
+    status: outcome.status,
+    ...(outcome.error ? { error: outcome.error.message ?? String(outcome.error) } : {})
+  };
+  if (outcome.status !== "ok") {
+    return { profileId, site, sessionDir, status: first.status, checks: [first], repair };
+  }
+  const second = await checkSession({ site, settings, sessionDir, profileId, runId, control });
+  return { profileId, site, sessionDir, status: second.status, checks: [first, second], repair };
+}
+
+// Graceful stop on the first SIGINT/SIGTERM or a stop-request file (the only
+// option on Windows); a second signal kills the browsers and exits at once.
+function watchForStop(control) {
+  const onSignal = (signal) => {
+    if (control.stopRequested) {
+      log.warn(`${signal} received again, killing browsers.`);
+      Object.values(control.browserPids()).forEach((pid) => killProcess(pid));
+      process.exit(130);
+    }
+    log.info(`${signal} received, finishing in-flight work. Send again to force.`);
+    control.requestStop(signal);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  const timer = setInterval(() => {
+    if (!control.stopRequested && fs.existsSync(stopRequestFile)) {
+      log.info("stop request found, finishing in-flight work.");
+      control.requestStop("stop command");
+    }
+  }, STOP_POLL_INTERVAL_MS);
+  timer.unref();
+
+  return () => {
+    clearInterval(timer);
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+  };
 }
 
 async function startCommand(argv) {
-  const { settings, sites, actions } = await loadConfigs();
+  const configs = await loadConfigs();
+  const { settings, sites, actions, flows } = configs;
+  const configErrors = reportConfigProblems(configs);
+  if (configErrors > 0) {
+    throw new Error(`config validation failed with ${configErrors} error(s); run "controller.js validate" for details`);
+  }
+  if (settings.sessionEncryption?.enabled) {
+    // Fail before any browser starts rather than when the first session is saved.
+    requireSessionKey(settings);
+  }
 
-  const collectorsCount = Number(argv.collectors ?? settings.collectorsCount ?? 1);
+  const storedSessions = argv.session ? await resolveStoredSessions(settings, sites, argv.session) : [];
+  // Stored sessions stand in for the collector pass unless --collectors asks for one too.
+  const collectorsCount = Number(argv.collectors ?? (storedSessions.length > 0 ? 0 : settings.collectorsCount ?? 1));
   const visibleCount = Number(argv.visible ?? settings.visibleCount ?? 0);
   const runOnce = Boolean(argv["run-once"]);
   const headlessActions = Boolean(argv["headless-actions"]);
   const overrideCollectorCycles =
     argv["collector-cycles"] !== undefined ? Number(argv["collector-cycles"]) : undefined;
   const overrideActionCycles = argv["action-cycles"] !== undefined ? Number(argv["action-cycles"]) : undefined;
-  const runId = (typeof argv["run-id"] === "string" && argv["run-id"].trim().length > 0) ? argv["run-id"].trim() : generateRunId();
+  const runId = (typeof argv["run-id"] === "string" && argv["run-id"].trim().length > 0) ? validateRunId(argv["run-id"].trim()) : generateRunId();
+  const runVars = parseVarOptions(argv.var);
+  const dataRows = argv.data ? await loadDataRows(argv.data) : null;
+  const replayHar = argv["replay-har"] ? path.resolve(argv["replay-har"]) : null;
+  if (replayHar) {
+    // Fail before any browser starts when the archive is missing or not a HAR.
+    await loadHarArchive(replayHar);
+  }
 
   await ensureDirectory(resolveRunDir(settings, runId));
-  await pruneOldSessions(settings);
+  // Stays open until the CLI handler has logged the outcome, so failures land in run.log too.
+  await openRunLog(path.join(resolveRunDir(settings, runId), "run.log"));
+  const runLog = log.child({ runId });
+  // Runs holding --session sources are copied from further down, so they are kept too.
+  const storedRuns = storedSessions.map((stored) => stored.reference.split("/")[0]);
+  const pruned = await pruneOldSessions(settings, { skipRuns: [runId, ...storedRuns] });
+  pruned.forEach((removal) => runLog.info(`pruned ${removal.target}: ${removal.reason}`));
 
   settings.collectorsCount = collectorsCount;
   settings.visibleCount = visibleCount;
@@ -131,42 +313,96 @@ async function startCommand(argv) {
 
   const staggerDelayMs = settings.staggerDelayMs ?? 2000;
 
-  await saveState({
+  const runState = {
     status: "starting",
     runId,
+    pid: process.pid,
     collectorsCount,
     visibleCount,
-    startedAt: new Date().toISOString()
+    startedAt: new Date().toISOString(),
+    phase: "starting",
+    cycle: null,
+    queue: { pending: 0, running: 0, done: 0 },
+    counts: {
+      collectors: { ok: 0, error: 0 },
+      actions: { ok: 0, failed: 0, stopped: 0, error: 0 },
+      sessions: { valid: 0, expired: 0, broken: 0 }
+    },
+    // Console, page error and network error totals reported by the workers' pages.
+    diagnostics: { collectors: {}, actions: {} }
+  };
+  const buildLiveState = () => ({
+    ...runState,
+    updatedAt: new Date().toISOString(),
+    stopRequested: control.stopRequested,
+    workers: control.workerSnapshot(),
+    browsers: control.browserPids()
   });
+  const publisher = createThrottledPublisher(() => saveState(buildLiveState()).catch(() => {}), STATE_PUBLISH_INTERVAL_MS);
+  const control = createRunControl({ onChange: () => publisher.schedule() });
+  await fs.remove(stopRequestFile);
+  const stopWatching = watchForStop(control);
+
+  // Wraps a worker so the queue and running counts in the live state follow it.
+  const trackWorker = (kind, iterator) => async (entry) => {
+    runState.queue.pending -= 1;
+    runState.queue.running += 1;
+    publisher.schedule();
+    const startedAt = new Date().toISOString();
+    const result = { ...(await iterator(entry)), startedAt, completedAt: new Date().toISOString() };
+    runState.queue.running -= 1;
+    runState.queue.done += 1;
+    const counts = runState.counts[kind];
+    counts[result.status] = (counts[result.status] ?? 0) + 1;
+    addDiagnosticsCounts(runState.diagnostics[kind], result.diagnostics);
+    publisher.schedule();
+    return result;
+  };
+  const startPhase = (phase, cycle, total, planLength) => {
+    runState.phase = phase;
+    runState.cycle = { current: cycle + 1, total };
+    runState.queue = { pending: planLength, running: 0, done: 0 };
+    publisher.schedule();
+  };
 
-  console.log(
-    `[controller] run ${runId} starting with ${collectorsCount} collectors (${collectorCycles} cycle(s)) and ${visibleCount} visible actions (${actionCycles} cycle(s))`
+  runState.status = "running";
+  await saveState(buildLiveState());
+
+  if (dataRows) {
+    runLog.info(`loaded ${dataRows.length} data row(s) from ${argv.data}`);
+  }
+
+  runLog.info(
+    `run ${runId} starting with ${collectorsCount} collectors (${collectorCycles} cycle(s)) and ${visibleCount} visible actions (${actionCycles} cycle(s))`
   );
 
   const collectorResults = [];
   const successfulSessions = [];
   let profileSequence = 0;
 
-  for (let cycle = 0; cycle < collectorCycles; cycle += 1) {
+  // No collectors (e.g. only stored sessions): skip the cycles and their swap waits.
+  for (let cycle = 0; cycle < collectorCycles && collectorsCount > 0 && !control.stopRequested; cycle += 1) {
     const plan = buildCollectorPlan(collectorsCount, sites, profileSequence);
     profileSequence += plan.length;
     const concurrency = Math.max(1, Math.min(maxCollectorConcurrency, plan.length));
-    console.log(
-      `[controller] collector cycle ${cycle + 1}/${collectorCycles}: launching ${plan.length} worker(s) at concurrency ${concurrency}`
+    runLog.info(
+      `collector cycle ${cycle + 1}/${collectorCycles}: launching ${plan.length} worker(s) at concurrency ${concurrency}`
     );
+    startPhase("collectors", cycle, collectorCycles, plan.length);
 
-    const results = await runWithConcurrency(plan, concurrency, async (entry) => {
+    const results = await runWithConcurrency(plan, concurrency, trackWorker("collectors", async (entry) => {
       const outcome = await runCollector({
         profileId: entry.profileId,
         site: entry.site,
         settings,
-        runId
+        runId,
+        control
       });
       if (staggerDelayMs > 0) {
-        await delay(staggerDelayMs);
+        await interruptibleDelay(staggerDelayMs, control);
       }
       return { cycle, ...entry, ...outcome };
-    });
+    }), control);
 
     collectorResults.push(...results);
     const successes = results.filter((result) => result.status === "ok");
@@ -177,55 +413,134 @@ async function startCommand(argv) {
         sessionDir: result.sessionDir
       }))
     );
-    console.log(
-      `[controller] collector cycle ${cycle + 1} complete. success=${successes.length} error=${results.length - successes.length}`
+    runLog.info(
+      `collector cycle ${cycle + 1} complete. success=${successes.length} error=${results.length - successes.length}`
     );
 
     if (cycle < collectorCycles - 1 && settings.collectorSwapIntervalSec) {
-      await delay(settings.collectorSwapIntervalSec * 1000);
+      await interruptibleDelay(settings.collectorSwapIntervalSec * 1000, control);
     }
   }
 
+  for (const stored of storedSessions) {
+    if (control.stopRequested) break;
+    // Copied, so the run's workers update their own copy and the stored session stays as it was.
+    const sessionDir = resolveSessionDir(settings, runId, stored.profileId);
+    await copySession(settings, stored.reference, sessionDir);
+    successfulSessions.push({ profileId: stored.profileId, site: stored.site, sessionDir });
+    runLog.info(`using stored session ${stored.reference} as profile ${stored.profileId} (${stored.site.id})`);
+  }
+
+  // Sessions of sites with a sessionCheck are verified (and rebuilt when
+  // expired or broken) before any action worker gets them.
+  const sessionCheckResults = [];
+  const sessionsToCheck = successfulSessions.filter((session) => session.site.sessionCheck);
+  if (visibleCount > 0 && sessionsToCheck.length > 0 && !control.stopRequested) {
+    const concurrency = Math.max(1, Math.min(maxActionConcurrency, sessionsToCheck.length));
+    runLog.info(`checking ${sessionsToCheck.length} session(s) at concurrency ${concurrency}`);
+    startPhase("sessions", 0, 1, sessionsToCheck.length);
+    const results = await runWithConcurrency(sessionsToCheck, concurrency, trackWorker("sessions", (session) =>
+      checkAndRepairSession(session, { settings, flows, runId, vars: runVars, headlessActions, control })
+    ), control);
+    sessionCheckResults.push(...results);
+
+    const unusable = new Set(results.filter((result) => result.status !== "valid").map((result) => result.profileId));
+    if (unusable.size > 0) {
+      runLog.warn(`${unusable.size} session(s) still not valid after repair and left out of the action cycles: ${[...unusable].join(", ")}`);
+      const usable = successfulSessions.filter((session) => !unusable.has(session.profileId));
+      successfulSessions.splice(0, successfulSessions.length, ...usable);
+    }
+    const repaired = results.filter((result) => result.repair && result.status === "valid").length;
+    runLog.info(`session checks complete. valid=${results.length - unusable.size} (repaired ${repaired}) unusable=${unusable.size}`);
+  }
+
   const actionResults = [];
   if (visibleCount > 0 && successfulSessions.length > 0) {
     const windowsPerCycle = Math.min(visibleCount, successfulSessions.length);
-    for (let cycle = 0; cycle < actionCycles; cycle += 1) {
+    for (let cycle = 0; cycle < actionCycles && !control.stopRequested; cycle += 1) {
       const actionPlan = [];
-      for (let i = 0; i < windowsPerCycle; i += 1) {
-        const session = successfulSessions[(cycle * windowsPerCycle + i) % successfulSessions.length];
-        actionPlan.push({
-          cycle,
-          profileId: session.profileId,
-          site: session.site,
-          steps: actions[session.site.id] ?? [],
-          index: i
+      if (dataRows) {
+        // One job per data row; rows share the collected sessions round-robin
+        // and the rows of one session run one at a time (see sessionQueue).
+        dataRows.forEach((row, rowIndex) => {
+          const session = successfulSessions[rowIndex % successfulSessions.length];
+          actionPlan.push({
+            cycle,
+            profileId: session.profileId,
+            site: session.site,
+            steps: actions[session.site.id] ?? [],
+            vars: { ...runVars, ...row, rowIndex },
+            row,
+            rowIndex,
+            index: rowIndex % windowsPerCycle
+          });
         });
+      } else {
+        for (let i = 0; i < windowsPerCycle; i += 1) {
+          const session = successfulSessions[(cycle * windowsPerCycle + i) % successfulSessions.length];
+          actionPlan.push({
+            cycle,
+            profileId: session.profileId,
+            site: session.site,
+            steps: actions[session.site.id] ?? [],
+            vars: { ...runVars },
+            index: i
+          });
+        }
       }
-      const actionConcurrency = Math.max(1, Math.min(maxActionConcurrency, actionPlan.length));
-      console.log(
-        `[controller] action cycle ${cycle + 1}/${actionCycles}: launching ${actionPlan.length} window(s) at concurrency ${actionConcurrency}`
+      // Rows sharing a session would race on its folder (cookies, storage,
+      // extracted records), so a session runs one row at a time.
+      const sessionCount = new Set(actionPlan.map((entry) => entry.profileId)).size;
+      const actionConcurrency = Math.max(1, Math.min(maxActionConcurrency, actionPlan.length, sessionCount));
+      const sessionQueue = createKeyedQueue();
+      runLog.info(
+        `action cycle ${cycle + 1}/${actionCycles}: launching ${actionPlan.length} window(s) at concurrency ${actionConcurrency}`
       );
 
-      const results = await runWithConcurrency(actionPlan, actionConcurrency, async (entry) => {
-        const outcome = await runAction({
+      startPhase("actions", cycle, actionCycles, actionPlan.length);
+
+      const results = await runWithConcurrency(actionPlan, actionConcurrency, trackWorker("actions", async (entry) => {
+        const outcome = await sessionQueue(entry.profileId, () => runAction({
           profileId: entry.profileId,
           site: entry.site,
           settings,
           steps: entry.steps,
+          flows,
+          vars: entry.vars,
+          rowIndex: entry.rowIndex ?? null,
+          row: entry.row ?? null,
           index: entry.index,
           runId,
-          headlessOverride: headlessActions
-        });
-        return { ...entry, ...outcome };
-      });
+          headlessOverride: headlessActions,
+          replayHar,
+          control
+        }));
+        // The configured steps and the data row are replaced by the outcome.
+        const { steps, row, ...job } = entry;
+        return { ...job, steps: [], ...outcome };
+      }), control);
 
       actionResults.push(...results);
+      const passed = results.filter((result) => result.status === "ok").length;
+      const failed = results.filter((result) => result.status === "failed").length;
+      runLog.info(
+        `action cycle ${cycle + 1} complete. ok=${passed} failed=${failed} error=${results.length - passed - failed}`
+      );
       if (cycle < actionCycles - 1 && settings.actionSwapIntervalSec) {
-        await delay(settings.actionSwapIntervalSec * 1000);
+        await interruptibleDelay(settings.actionSwapIntervalSec * 1000, control);
       }
     }
   } else {
-    console.log("[controller] skipping action cycles (no sessions available or visibleCount set to 0).");
+    runLog.info("skipping action cycles (no sessions available or visibleCount set to 0).");
+  }
+
+  const extractedSessions = new Map();
+  actionResults
+    .filter((result) => result.extractedCount > 0)
+    .forEach((result) => extractedSessions.set(result.profileId, { profileId: result.profileId, siteId: result.site.id }));
+  const dataset = await writeRunDataset(settings, runId, [...extractedSessions.values()], settings.extractFormat);
+  if (dataset) {
+    runLog.info(`merged ${dataset.count} extracted record(s) into ${dataset.filePath}`);
   }
 
   const serializeResult = (result) => {
@@ -239,42 +554,344 @@ async function startCommand(argv) {
     return serialized;
   };
 
-  await saveState({
-    status: "idle",
+  stopWatching();
+  publisher.cancel();
+  await fs.remove(stopRequestFile);
+
+  const finalState = {
+    status: control.stopRequested ? "stopped" : "idle",
     runId,
     collectors: collectorResults.map(serializeResult),
+    sessionChecks: sessionCheckResults,
     actions: actionResults.map(serializeResult),
     collectorsCount,
     visibleCount,
+    counts: runState.counts,
+    diagnostics: runState.diagnostics,
+    startedAt: runState.startedAt,
     completedAt: new Date().toISOString()
-  });
+  };
+  await saveState(finalState);
+  await saveRunResults(settings, runId, finalState);
 
-  console.log(`[controller] run ${runId} complete.`);
+  runLog.info(`run ${runId} ${control.stopRequested ? "stopped" : "complete"}.`);
+
+  if (argv.report) {
+    const { files } = await writeRunReport(settings, runId);
+    runLog.info(`report written to ${files.html} (also ${path.basename(files.json)}, ${path.basename(files.junit)})`);
+  }
 
   if (!runOnce && schedulingEnabled) {
-    console.log("[controller] scheduling disabled for prototype after first run. Re-launch to continue cycles.");
+    runLog.info("scheduling disabled for prototype after first run. Re-launch to continue cycles.");
   }
 }
 
-async function stopCommand() {
-  const state = await readState();
-  state.status = "stopped";
-  state.stoppedAt = new Date().toISOString();
-  await saveState(state);
-  console.log("[controller] stop flag recorded. No long-running workers to terminate in prototype.");
+async function reportCommand(argv) {
+  const { settings } = await loadConfigs();
+  const { files } = await writeRunReport(settings, argv.runId);
+  log.info(`report for run ${argv.runId}:`);
+  Object.values(files).forEach((filePath) => log.info(`  ${filePath}`));
+}
+
+async function stopCommand(argv) {
+  const outcome = await requestRunStop({ force: argv.force });
+  if (outcome.action === "killed") {
+    outcome.killedBrowsers.forEach(({ key, pid }) => log.info(`killed browser ${key} (pid ${pid})`));
+    if (outcome.staleBrowsers.length > 0) {
+      log.warn(
+        `controller is not running; left ${outcome.staleBrowsers.length} recorded browser pid(s) alone (${outcome.staleBrowsers.map(({ pid }) => pid).join(", ")}), check them by hand`
+      );
+    }
+    if (outcome.killedController) {
+      log.info("killed controller.");
+    }
+  } else if (outcome.action === "none") {
+    log.info("no running controller found; stop state recorded.");
+  } else {
+    log.info(
+      `stop requested for run ${outcome.runId} (pid ${outcome.pid}). In-flight steps finish, then sessions are saved and browsers closed. Use --force to kill immediately.`
+    );
+  }
+}
+
+async function statusCommand(argv) {
+  if (!argv.watch) {
+    const state = await readState();
+    console.log(JSON.stringify(state, null, 2));
+    return;
+  }
+
+  const intervalMs = Math.max(250, Number(argv.interval ?? 2) * 1000);
+  // Runs until interrupted with Ctrl+C.
+  for (;;) {
+    const state = await readState();
+    process.stdout.write("\x1b[2J\x1b[H");
+    console.log(formatStatus(state));
+    console.log(`\n(refreshing every ${intervalMs / 1000}s, Ctrl+C to exit)`);
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
 }
 
-async function statusCommand() {
+// The run a live controller is writing to; its sessions are left alone.
+async function findActiveRunId() {
   const state = await readState();
-  console.log(JSON.stringify(state, null, 2));
+  return isRunActive(state) ? state.runId : null;
+}
+
+async function pruneCommand(argv) {
+  const { settings } = await loadConfigs();
+  const activeRunId = await findActiveRunId();
+  const removals = await pruneOldSessions(settings, {
+    ...(argv.olderThan !== undefined ? { retentionHours: parseAge(argv.olderThan) / 3600000 } : {}),
+    ...(argv.keepLastPerSite !== undefined ? { keepLastPerSite: argv.keepLastPerSite } : {}),
+    skipRuns: activeRunId ? [activeRunId] : [],
+    dryRun: argv.dryRun
+  });
+  removals.forEach((removal) => log.info(`${argv.dryRun ? "would remove" : "removed"} ${removal.target}: ${removal.reason}`));
+  log.info(`prune complete: ${removals.length} ${argv.dryRun ? "would be removed (dry run)" : "removed"}.`);
+}
+
+async function recordCommand(argv) {
+  const configs = await loadConfigs();
+  const site = configs.sites.find((entry) => entry.id === argv.site);
+  if (!site) {
+    throw new Error(`unknown site "${argv.site}" (known: ${configs.sites.map((entry) => entry.id).join(", ")})`);
+  }
+  const steps = await recordWorkflow({ site, settings: configs.settings });
+  if (steps.length === 0) {
+    log.warn("nothing was recorded.");
+    return;
+  }
+
+  const outFile = path.resolve(argv.out ?? path.join("tmp", "recorded", `${site.id}-${Date.now()}.json`));
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeJson(outFile, { [site.id]: steps }, { spaces: 2 });
+  log.info(`${steps.length} step(s) written to ${outFile}`);
+
+  if (argv.write) {
+    const actions = { ...configs.actions, [site.id]: steps };
+    if (reportConfigProblems({ ...configs, actions }) > 0) {
+      throw new Error(`recorded steps do not validate; actions.json left unchanged (review ${outFile})`);
+    }
+    const previous = configs.actions[site.id]?.length ?? 0;
+    const actionsFile = await saveActions(actions);
+    log.info(`${actionsFile}: "${site.id}" now has the recorded steps${previous > 0 ? ` (replaced ${previous})` : ""}.`);
+  }
+  if (steps.some((step) => step.text?.secret)) {
+    log.info(`password fields were recorded as { "secret": "${site.id}.password" }; store it with "secrets set ${site.id}.password".`);
+  }
+}
+
+async function debugCommand(argv) {
+  const { settings, sites, actions, flows } = await loadConfigs();
+  const site = sites.find((entry) => entry.id === argv.site);
+  if (!site) {
+    throw new Error(`unknown site "${argv.site}" (known: ${sites.map((entry) => entry.id).join(", ")})`);
+  }
+  const steps = actions[site.id] ?? [];
+  const runId = argv.runId ?? (await findLatestSessionRun(settings, argv.profile));
+  if (!runId) {
+    throw new Error(`no saved session for profile "${argv.profile}" under ${resolveSessionsBaseDir(settings)}; run "start" first`);
+  }
+  // One window, full size, regardless of the configured grid.
+  settings.visibleCount = 1;
+
+  const debug = createStepDebugger({
+    site,
+    steps,
+    flows,
+    save: async ({ flows: editedFlows }) => {
+      // Edits land in place in these objects, so saving writes them as they are now.
+      const files = [await saveActions(actions)];
+      if (editedFlows) files.push(await saveFlows(editedFlows));
+      return files;
+    }
+  });
+  log.info(`debugging ${steps.length} step(s) of "${site.id}" on session ${runId}/${argv.profile} (h for help at a pause)`);
+  try {
+    const outcome = await runAction({
+      profileId: argv.profile,
+      site,
+      settings,
+      steps,
+      flows,
+      vars: parseVarOptions(argv.var),
+      runId,
+      headlessOverride: false,
+      debug
+    });
+    const failed = (outcome.steps ?? []).filter((step) => step.status === "failed").length;
+    log.info(`workflow ${outcome.status}${failed > 0 ? ` with ${failed} failed step(s)` : ""}; session saved in ${resolveRunDir(settings, runId)}/${argv.profile}`);
+  } finally {
+    await debug.finish();
+  }
+}
+
+async function validateCommand() {
+  const errors = reportConfigProblems(await loadConfigs());
+  if (errors > 0) {
+    process.exitCode = 1;
+    return;
+  }
+  log.info("config is valid.");
+}
+
+async function serveCommand(argv) {
+  const token = argv.token ?? process.env.PUPETER_API_TOKEN ?? null;
+  const server = createControlServer({ token });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(argv.port, argv.host, resolve);
+  });
+  createLogger("server").info(`control API listening on http://${argv.host}:${argv.port}/api${token ? " (token required)" : ""}`);
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return "";
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf-8").replace(/\r?\n$/, "");
+}
+
+async function secretsSetCommand(argv) {
+  const { settings } = await loadConfigs();
+  const value = argv.value ?? (await readStdin());
+  if (!value) {
+    throw new Error("no secret value given (pipe it on stdin or pass --value)");
+  }
+  const secrets = await readSecretsFile(settings);
+  await writeSecretsFile(settings, { ...secrets, [argv.name]: value });
+  log.info(`secret ${argv.name} stored.`);
+}
+
+async function secretsListCommand() {
+  const { settings } = await loadConfigs();
+  const secrets = await readSecretsFile(settings);
+  Object.keys(secrets)
+    .sort()
+    .forEach((name) => console.log(name));
 }
 
-async function pruneCommand() {
+async function sessionsExportCommand(argv) {
   const { settings } = await loadConfigs();
-  await pruneOldSessions(settings);
-  console.log("[controller] prune complete.");
+  const outFile = path.resolve(argv.out ?? path.join("tmp", "exports", `${argv.session.replace("/", "-")}${BUNDLE_EXTENSION}`));
+  const files = await exportSession(settings, argv.session, outFile);
+  log.info(`exported ${argv.session} (${files.join(", ")}) to ${outFile}`);
+  if (files.some((name) => name.endsWith(".enc.json"))) {
+    log.info("cookies and storage stay encrypted in the bundle; importing it needs the same session key.");
+  }
+}
+
+async function sessionsImportCommand(argv) {
+  const { settings } = await loadConfigs();
+  const imported = await importSession(settings, path.resolve(argv.file), argv.target, { force: argv.force });
+  log.info(`imported ${imported.source} as ${imported.reference} (${imported.sessionDir})`);
+  log.info(`use it with: controller.js start --session=${imported.reference}`);
+}
+
+async function sessionsRekeyCommand(argv) {
+  const { settings } = await loadConfigs();
+  const newKey = argv.newKeyFile
+    ? (await fs.readFile(path.resolve(argv.newKeyFile), "utf-8")).trim()
+    : process.env[SESSION_NEW_KEY_ENV];
+  if (!newKey) {
+    throw new Error(`no new session key: export ${SESSION_NEW_KEY_ENV} or pass --new-key-file`);
+  }
+  const summary = await rekeySessions(settings, newKey);
+  log.info(
+    `rekeyed ${summary.sessions} session(s) under ${resolveSessionsBaseDir(settings)}: ${summary.reencrypted} file(s) re-encrypted, ${summary.encrypted} plain file(s) encrypted${summary.alreadyRekeyed > 0 ? `, ${summary.alreadyRekeyed} already on the new key` : ""}`
+  );
+  log.info("use the new key from now on (PUPETER_SESSION_KEY or sessionEncryption.keyFile).");
+}
+
+const sessionFilters = (argv) => ({
+  site: argv.site,
+  status: argv.status,
+  run: argv.run,
+  olderThan: argv.olderThan,
+  newerThan: argv.newerThan
+});
+
+async function findSession(settings, reference) {
+  resolveSessionReference(settings, reference);
+  const session = (await collectSessions(settings)).find((entry) => entry.reference === reference);
+  if (!session) {
+    throw new Error(`no saved session at ${reference} under ${resolveSessionsBaseDir(settings)}`);
+  }
+  return session;
 }
 
+async function sessionsListCommand(argv) {
+  const { settings } = await loadConfigs();
+  const sessions = filterSessions(await collectSessions(settings), sessionFilters(argv));
+  if (argv.json) {
+    console.log(JSON.stringify(sessions, null, 2));
+    return;
+  }
+  if (sessions.length === 0) {
+    log.info(`no saved sessions match under ${resolveSessionsBaseDir(settings)}`);
+    return;
+  }
+  console.log(formatSessionTable(sessions));
+}
+
+async function sessionsShowCommand(argv) {
+  const { settings } = await loadConfigs();
+  const session = await findSession(settings, argv.session);
+  console.log(await describeSession(session, settings, { showValues: argv.values }));
+}
+
+// With one session, compares what its collector saved with what it holds now
+// (after the action workers saved over it).
+async function sessionsDiffCommand(argv) {
+  const { settings } = await loadConfigs();
+  const first = await findSession(settings, argv.a);
+  const second = argv.b ? await findSession(settings, argv.b) : null;
+  const before = await readSessionState(first, settings, second ? null : "collector");
+  const after = await readSessionState(second ?? first, settings);
+  const labels = second
+    ? [first.reference, second.reference]
+    : [`${first.reference} (collector save)`, `${first.reference} (latest save)`];
+  const diff = diffSessionStates(before, after);
+  console.log(formatSessionDiff(diff, { beforeLabel: labels[0], afterLabel: labels[1], showValues: argv.values }));
+}
+
+async function sessionsRmCommand(argv) {
+  const { settings } = await loadConfigs();
+  const references = argv.sessions ?? [];
+  const filters = sessionFilters(argv);
+  const filtered = Object.values(filters).some((value) => value !== undefined);
+  if (references.length === 0 && !filtered) {
+    throw new Error("name the sessions to remove or pass a filter (--site, --status, --run, --older-than, --newer-than)");
+  }
+  // Filters only reach the library when asked for it with --run=library.
+  const matches = [
+    ...(await Promise.all(references.map((reference) => findSession(settings, reference)))),
+    ...(filtered ? filterSessions(await collectSessions(settings), filters).filter((session) => !session.library || filters.run) : [])
+  ];
+  const unique = [...new Map(matches.map((session) => [session.reference, session])).values()];
+  const activeRunId = await findActiveRunId();
+  const skipped = unique.filter((session) => session.runId === activeRunId);
+  skipped.forEach((session) => log.warn(`skipping ${session.reference}: run ${activeRunId} is still active`));
+  const targets = unique.filter((session) => session.runId !== activeRunId);
+
+  for (const session of targets) {
+    if (!argv.dryRun) await fs.remove(session.dir);
+    log.info(`${argv.dryRun ? "would remove" : "removed"} ${session.reference} (${session.siteId ?? "unknown site"}, ${session.status}, saved ${session.savedAt})`);
+  }
+  log.info(`${targets.length} session(s) ${argv.dryRun ? "would be removed (dry run)" : "removed"}.`);
+}
+
+const filterOptions = (sub) =>
+  sub
+    .option("site", { describe: "Only sessions saved for this site id", type: "string" })
+    .option("status", { describe: "Only sessions with this check status", choices: SESSION_FILTER_STATUSES })
+    .option("run", { describe: "Only sessions of this run id (library for the session library)", type: "string" })
+    .option("older-than", { describe: "Only sessions saved longer ago than this (30m, 12h, 7d, 2w)", type: "string" })
+    .option("newer-than", { describe: "Only sessions saved within this (30m, 12h, 7d, 2w)", type: "string" });
+
 const cli = yargs(hideBin(process.argv))
   .command(
     "start",
@@ -310,32 +927,321 @@ const cli = yargs(hideBin(process.argv))
         .option("action-cycles", {
           describe: "Override number of action swap cycles",
           type: "number"
+        })
+        .option("var", {
+          describe: "Run parameter for {{placeholders}} in action steps (key=value, repeatable)",
+          type: "string",
+          array: true
+        })
+        .option("data", {
+          describe: "CSV or JSON file with one action job per row",
+          type: "string"
+        })
+        .option("replay-har", {
+          describe: "Answer action worker requests from a recorded HAR file; unrecorded requests are blocked and reported",
+          type: "string"
+        })
+        .option("session", {
+          describe: "Run the actions on a stored session, <run-id>/<profileId> or library/<name> (repeatable; no collectors run unless --collectors is set)",
+          type: "string",
+          array: true
+        })
+        .option("report", {
+          describe: "Write report.html, report.json and junit.xml into the run folder (--no-report to skip)",
+          type: "boolean",
+          default: true
         }),
     (argv) => {
-      startCommand(argv).catch((err) => {
-        console.error("[controller] start failed", err);
+      startCommand(argv)
+        .catch((err) => {
+          log.error("start failed", err);
+          process.exitCode = 1;
+        })
+        .finally(closeRunLog);
+    }
+  )
+  .command(
+    "report <run-id>",
+    "Generate HTML, JSON and JUnit XML reports for a finished run",
+    (y) => y.positional("run-id", { describe: "Run folder under sessionsDir", type: "string" }),
+    (argv) => {
+      reportCommand(argv).catch((err) => {
+        log.error(`report failed: ${err.message}`);
         process.exitCode = 1;
       });
     }
   )
-  .command("stop", "Record stop state", () => {
-    stopCommand().catch((err) => {
-      console.error("[controller] stop failed", err);
-      process.exitCode = 1;
-    });
-  })
-  .command("status", "Show last recorded status", () => {
-    statusCommand().catch((err) => {
-      console.error("[controller] status failed", err);
-      process.exitCode = 1;
-    });
-  })
-  .command("prune", "Prune old session folders", () => {
-    pruneCommand().catch((err) => {
-      console.error("[controller] prune failed", err);
+  .command(
+    "stop",
+    "Stop the running controller after in-flight work",
+    (y) =>
+      y.option("force", {
+        describe: "Kill the controller and every recorded browser process immediately",
+        type: "boolean",
+        default: false
+      }),
+    (argv) => {
+      stopCommand(argv).catch((err) => {
+        log.error("stop failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command(
+    "status",
+    "Show last recorded status",
+    (y) =>
+      y
+        .option("watch", {
+          describe: "Show a live table of workers, refreshed until Ctrl+C",
+          type: "boolean",
+          default: false
+        })
+        .option("interval", {
+          describe: "Refresh interval for --watch in seconds",
+          type: "number",
+          default: 2
+        }),
+    (argv) => {
+      statusCommand(argv).catch((err) => {
+        log.error("status failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command(
+    "prune",
+    "Prune old session folders",
+    (y) =>
+      y
+        .option("older-than", { describe: "Remove runs idle longer than this (30m, 12h, 7d, 2w); overrides sessionRetentionHours", type: "string" })
+        .option("keep-last-per-site", { describe: "Keep only the newest N sessions of each site; overrides sessionKeepLastPerSite", type: "number" })
+        .option("dry-run", { describe: "List what would be removed without removing it", type: "boolean", default: false }),
+    (argv) => {
+      pruneCommand(argv).catch((err) => {
+        log.error("prune failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command("validate", "Validate settings, sites, actions and flows config", () => {
+    validateCommand().catch((err) => {
+      log.error("validate failed", err);
       process.exitCode = 1;
     });
   })
+  .command(
+    "debug",
+    "Step through a site's workflow on a saved session, pausing before every step",
+    (y) =>
+      y
+        .option("site", {
+          describe: "Site id whose steps from actions.json are debugged",
+          type: "string",
+          demandOption: true
+        })
+        .option("profile", {
+          describe: "Profile id of the saved session to restore",
+          type: "string",
+          demandOption: true
+        })
+        .option("run-id", {
+          describe: "Run folder holding the session (default: the newest one with that profile)",
+          type: "string"
+        })
+        .option("var", {
+          describe: "Run parameter for {{placeholders}} in action steps (key=value, repeatable)",
+          type: "string",
+          array: true
+        }),
+    (argv) => {
+      debugCommand(argv).catch((err) => {
+        log.error("debug failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command(
+    "record",
+    "Record a workflow in a visible browser and write it as action steps",
+    (y) =>
+      y
+        .option("site", {
+          describe: "Site id from sites.json; recording starts at its startUrl",
+          type: "string",
+          demandOption: true
+        })
+        .option("out", {
+          describe: "File for the recorded steps (default tmp/recorded/<site>-<timestamp>.json)",
+          type: "string"
+        })
+        .option("write", {
+          describe: "Also replace the site's steps in actions.json",
+          type: "boolean",
+          default: false
+        }),
+    (argv) => {
+      recordCommand(argv).catch((err) => {
+        log.error("record failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command(
+    "serve",
+    "Serve a local HTTP/JSON API to start, monitor and stop runs",
+    (y) =>
+      y
+        .option("port", {
+          describe: "Port to listen on",
+          type: "number",
+          default: 7070
+        })
+        .option("host", {
+          describe: "Interface to bind (keep local unless protected by --token)",
+          type: "string",
+          default: "127.0.0.1"
+        })
+        .option("token", {
+          describe: "Require 'Authorization: Bearer <token>' (default: PUPETER_API_TOKEN)",
+          type: "string"
+        }),
+    (argv) => {
+      serveCommand(argv).catch((err) => {
+        log.error("serve failed", err);
+        process.exitCode = 1;
+      });
+    }
+  )
+  .command("sessions", "Manage saved sessions", (y) =>
+    y
+      .command(
+        "list",
+        "List saved sessions with their site, check status and age",
+        (sub) => filterOptions(sub).option("json", { describe: "Print the sessions as JSON", type: "boolean", default: false }),
+        (argv) => {
+          sessionsListCommand(argv).catch((err) => {
+            log.error(`sessions list failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "show <session>",
+        "Show a saved session's meta, cookies and storage keys",
+        (sub) =>
+          sub
+            .positional("session", { describe: "<run-id>/<profileId> or library/<name>", type: "string" })
+            .option("values", { describe: "Also print cookie and storage values", type: "boolean", default: false }),
+        (argv) => {
+          sessionsShowCommand(argv).catch((err) => {
+            log.error(`sessions show failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "diff <a> [b]",
+        "Compare cookies and storage of two sessions, or of one session's collector and latest saves",
+        (sub) =>
+          sub
+            .positional("a", { describe: "<run-id>/<profileId> or library/<name>", type: "string" })
+            .positional("b", { describe: "Session to compare against (default: a's collector save against a)", type: "string" })
+            .option("values", { describe: "Also print cookie and storage values", type: "boolean", default: false }),
+        (argv) => {
+          sessionsDiffCommand(argv).catch((err) => {
+            log.error(`sessions diff failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "rm [sessions..]",
+        "Remove saved sessions by reference or filter",
+        (sub) =>
+          filterOptions(sub)
+            .positional("sessions", { describe: "<run-id>/<profileId> or library/<name>", type: "string", array: true })
+            .option("dry-run", { describe: "List what would be removed without removing it", type: "boolean", default: false }),
+        (argv) => {
+          sessionsRmCommand(argv).catch((err) => {
+            log.error(`sessions rm failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "export <session>",
+        "Write a saved session (cookies, storage, meta, screenshots) to a single archive",
+        (sub) =>
+          sub
+            .positional("session", { describe: "<run-id>/<profileId> or library/<name>", type: "string" })
+            .option("out", { describe: `Archive path (default: tmp/exports/<run-id>-<profileId>${BUNDLE_EXTENSION})`, type: "string" }),
+        (argv) => {
+          sessionsExportCommand(argv).catch((err) => {
+            log.error(`sessions export failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "import <file> <target>",
+        "Unpack a session archive into a run or the session library",
+        (sub) =>
+          sub
+            .positional("file", { describe: "Archive written by sessions export", type: "string" })
+            .positional("target", {
+              describe: "library/<name>, <run-id>/<profileId>, or <run-id> to keep the exported profile id",
+              type: "string"
+            })
+            .option("force", { describe: "Replace an existing session at the target", type: "boolean", default: false }),
+        (argv) => {
+          sessionsImportCommand(argv).catch((err) => {
+            log.error(`sessions import failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command(
+        "rekey",
+        "Re-encrypt every saved session with a new key (plain sessions are encrypted too)",
+        (sub) =>
+          sub.option("new-key-file", {
+            describe: `File holding the new key (default: the ${SESSION_NEW_KEY_ENV} environment variable)`,
+            type: "string"
+          }),
+        (argv) => {
+          sessionsRekeyCommand(argv).catch((err) => {
+            log.error(`sessions rekey failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .demandCommand(1)
+  )
+  .command("secrets", "Manage the encrypted secrets file", (y) =>
+    y
+      .command(
+        "set <name>",
+        "Store a secret (value from stdin or --value)",
+        (sub) =>
+          sub
+            .positional("name", { describe: "Secret name, e.g. itscoupons.password", type: "string" })
+            .option("value", { describe: "Secret value (prefer stdin to keep it out of shell history)", type: "string" }),
+        (argv) => {
+          secretsSetCommand(argv).catch((err) => {
+            log.error(`secrets set failed: ${err.message}`);
+            process.exitCode = 1;
+          });
+        }
+      )
+      .command("list", "List stored secret names", () => {
+        secretsListCommand().catch((err) => {
+          log.error(`secrets list failed: ${err.message}`);
+          process.exitCode = 1;
+        });
+      })
+      .demandCommand(1)
+  )
   .demandCommand(1)
   .help();
 
@@ -0,0 +1,72 @@
+import path from "node:path";
+import fs from "fs-extra";
+
+function parseCsvLine(line) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+// First line is the header. Quoted cells may contain commas and doubled
+// quotes, but not line breaks.
+export function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  if (lines.length === 0) return [];
+  const headers = parseCsvLine(lines[0]).map((header) => header.trim());
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    return Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ""]));
+  });
+}
+
+export async function loadDataRows(filePath) {
+  const resolved = path.resolve(filePath);
+  const extension = path.extname(resolved).toLowerCase();
+  if (extension === ".csv") {
+    return parseCsv(await fs.readFile(resolved, "utf-8"));
+  }
+  if (extension === ".json") {
+    const data = await fs.readJson(resolved);
+    const rows = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw new Error(`Data file ${filePath} must contain an array of objects (or { "rows": [...] })`);
+    }
+    return rows;
+  }
+  throw new Error(`Unsupported data file type "${extension}" (expected .csv or .json)`);
+}
+
+// Parses repeated `--var key=value` options into an object.
+export function parseVarOptions(values) {
+  const vars = {};
+  for (const entry of [].concat(values ?? [])) {
+    const separator = String(entry).indexOf("=");
+    if (separator <= 0) {
+      throw new Error(`Invalid --var "${entry}" (expected key=value)`);
+    }
+    vars[String(entry).slice(0, separator).trim()] = String(entry).slice(separator + 1);
+  }
+  return vars;
+}
@@ -0,0 +1,187 @@
+import readline from "node:readline/promises";
+import { createReport, formatProblem, validateStep } from "./configSchema.js";
+
+const HELP = `commands at a pause:
+  <enter>, s, step     run this step
+  k, skip              skip this step
+  c, continue          run without pausing until a step fails
+  e, edit              edit this step's JSON (prefilled; kept for saving)
+  $ <selector>         list the elements a selector matches
+  run <json>           run a one-off step now, e.g. run {"type":"click","selector":"#ok"}
+  save                 write the edited steps back to actions.json / flows.json
+  q, quit              stop the workflow (the session is still saved)
+after a failed step:
+  r, retry             run the failed step again (after an edit, the edited version)`;
+
+function describeStep(step) {
+  return JSON.stringify(step);
+}
+
+// Replaces a config step object in place, so every path that reaches it
+// (the site's steps, flows, later loop iterations) sees the edit.
+function replaceStep(target, replacement) {
+  Object.keys(target).forEach((key) => delete target[key]);
+  Object.assign(target, replacement);
+}
+
+function containsStep(steps, target) {
+  return (steps ?? []).some(
+    (step) => step === target || ["then", "else", "steps"].some((key) => containsStep(step[key], target))
+  );
+}
+
+async function describeMatches(page, selector) {
+  const matches = await page.$$eval(selector, (elements) =>
+    elements.slice(0, 10).map((element) => {
+      // Outlines the matches in the visible browser as well.
+      element.style.outline = "2px solid #e5484d";
+      const text = (element.innerText ?? element.textContent ?? "").trim().replace(/\s+/g, " ");
+      return { tag: element.tagName.toLowerCase(), id: element.id, text: text.slice(0, 80), count: elements.length };
+    })
+  );
+  if (matches.length === 0) return `${selector}: no match`;
+  const lines = matches.map((match, index) => `  ${index + 1}. <${match.tag}${match.id ? ` id="${match.id}"` : ""}> ${match.text}`);
+  return `${selector}: ${matches[0].count} match(es)\n${lines.join("\n")}`;
+}
+
+// Interactive pauses for `controller.js debug`. runAction calls beforeStep
+// and afterFailure around every step (nested ones too); both resolve with
+// what the workflow should do next.
+export function createStepDebugger({ site, steps, flows, save, input = process.stdin, output = process.stdout }) {
+  const rl = readline.createInterface({ input, output });
+  // Buffers lines, so piped commands are not lost between prompts.
+  const lines = rl[Symbol.asyncIterator]();
+  const edited = new Set();
+  let pauseOnEveryStep = true;
+
+  const print = (text) => output.write(`${text}\n`);
+
+  // Resolves with the trimmed answer, or null once input has ended (Ctrl+D).
+  async function prompt(label, prefill = null) {
+    rl.setPrompt(label);
+    rl.prompt();
+    // Prefilled text is only editable on a terminal; piped input would append to it.
+    if (prefill !== null && input.isTTY) rl.write(prefill);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  }
+
+  async function editStep(rawStep) {
+    if (!input.isTTY) print(describeStep(rawStep));
+    const text = await prompt("step json> ", describeStep(rawStep));
+    if (!text) return false;
+    let replacement;
+    try {
+      replacement = JSON.parse(text);
+    } catch (err) {
+      print(`not valid JSON: ${err.message}`);
+      return false;
+    }
+    const report = createReport();
+    validateStep(report, "actions.json", "$", replacement, { flows });
+    report.problems.forEach((problem) => print(formatProblem(problem)));
+    if (report.problems.some((problem) => problem.level === "error")) {
+      print("edit discarded.");
+      return false;
+    }
+    replaceStep(rawStep, replacement);
+    edited.add(rawStep);
+    print("step updated.");
+    return true;
+  }
+
+  async function saveEdits() {
+    if (edited.size === 0) {
+      print("no edited steps to save.");
+      return;
+    }
+    const editedFlows = [...edited].some((step) => Object.values(flows).some((flowSteps) => containsStep(flowSteps, step)));
+    const files = await save({ steps, flows: editedFlows ? flows : null });
+    edited.clear();
+    print(`saved to ${files.join(", ")}`);
+  }
+
+  // Handles the commands every pause shares; returns null when the answer is not one of them.
+  async function handleCommon(answer, { page, execute }) {
+    if (answer === "h" || answer === "help" || answer === "?") {
+      print(HELP);
+      return "handled";
+    }
+    if (answer.startsWith("$")) {
+      const selector = answer.slice(1).trim();
+      print(selector ? await describeMatches(page, selector).catch((err) => `${selector}: ${err.message}`) : "usage: $ <selector>");
+      return "handled";
+    }
+    if (answer.startsWith("run ")) {
+      try {
+        const step = JSON.parse(answer.slice(4));
+        await execute(step);
+        print("ok.");
+      } catch (err) {
+        print(`failed: ${err.message}`);
+      }
+      return "handled";
+    }
+    if (answer === "save") {
+      await saveEdits();
+      return "handled";
+    }
+    if (answer === "q" || answer === "quit") {
+      return "quit";
+    }
+    return null;
+  }
+
+  return {
+    async beforeStep({ page, rawStep, stepPath, execute }) {
+      if (!pauseOnEveryStep) return "run";
+      print(`\n[debug ${site.id}] next step ${stepPath}: ${describeStep(rawStep)}`);
+      for (;;) {
+        const answer = await prompt("debug> ");
+        if (answer === null) return "quit";
+        if (answer === "" || answer === "s" || answer === "step") return "run";
+        if (answer === "k" || answer === "skip") return "skip";
+        if (answer === "c" || answer === "continue") {
+          pauseOnEveryStep = false;
+          return "run";
+        }
+        if (answer === "e" || answer === "edit") {
+          if (await editStep(rawStep)) print(`next step ${stepPath}: ${describeStep(rawStep)}`);
+          continue;
+        }
+        const common = await handleCommon(answer, { page, execute });
+        if (common === "quit") return "quit";
+        if (common === null) print(`unknown command "${answer}" (h for help)`);
+      }
+    },
+
+    async afterFailure({ page, rawStep, stepPath, error, execute }) {
+      // A failure always pauses, even after "continue".
+      pauseOnEveryStep = true;
+      print(`\n[debug ${site.id}] step ${stepPath} failed: ${error}`);
+      print("r retry, e edit, <enter> go on, h help");
+      for (;;) {
+        const answer = await prompt("debug (failed)> ");
+        if (answer === null) return "quit";
+        if (answer === "") return "continue";
+        if (answer === "r" || answer === "retry") return "retry";
+        if (answer === "e" || answer === "edit") {
+          if (await editStep(rawStep)) print("retry (r) to run the edited step.");
+          continue;
+        }
+        const common = await handleCommon(answer, { page, execute });
+        if (common === "quit") return "quit";
+        if (common === null) print(`unknown command "${answer}" (h for help)`);
+      }
+    },
+
+    // Offers to save edits nobody saved yet, then releases the terminal.
+    async finish() {
+      if (edited.size > 0) {
+        const answer = await prompt(`save ${edited.size} edited step(s)? [y/N] `);
+        if (/^y(es)?$/i.test(answer ?? "")) await saveEdits();
+      }
+      rl.close();
+    }
+  };
+}
@@ -0,0 +1,201 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { redact } from "./secrets.js";
+
+const MAX_BUFFERED_ENTRIES = 2000;
+// Requests the worker aborted itself (resource policy, challenge blocking) are not page problems.
+const IGNORED_REQUEST_ERRORS = new Set(["net::ERR_BLOCKED_BY_CLIENT"]);
+
+function emptyCounts() {
+  return {
+    consoleMessages: 0,
+    consoleErrors: 0,
+    consoleWarnings: 0,
+    pageErrors: 0,
+    requestFailures: 0,
+    httpErrors: 0,
+    http5xx: 0
+  };
+}
+
+function pushBounded(list, item) {
+  list.push(item);
+  if (list.length > MAX_BUFFERED_ENTRIES) list.shift();
+}
+
+// Collects the page's console output, uncaught errors, failed requests and
+// HTTP error responses. Kept on `page._diagnostics` so saveSession writes
+// console.ndjson / network-errors.json, and so a failing step can dump what
+// the page reported up to that point.
+export function collectPageDiagnostics(page, { worker = null } = {}) {
+  const diagnostics = { worker, counts: emptyCounts(), consoleMessages: [], pageErrors: [], networkErrors: [] };
+  const { counts } = diagnostics;
+
+  page.on("console", (message) => {
+    const location = message.location();
+    const type = message.type();
+    counts.consoleMessages += 1;
+    if (type === "error") counts.consoleErrors += 1;
+    if (type === "warn" || type === "warning") counts.consoleWarnings += 1;
+    pushBounded(diagnostics.consoleMessages, {
+      timestamp: new Date().toISOString(),
+      type,
+      text: redact(message.text()),
+      url: location?.url ? redact(location.url) : undefined,
+      line: location?.lineNumber
+    });
+  });
+  page.on("pageerror", (err) => {
+    counts.pageErrors += 1;
+    pushBounded(diagnostics.pageErrors, {
+      timestamp: new Date().toISOString(),
+      message: redact(err.message ?? String(err)),
+      stack: redact(err.stack ?? "")
+    });
+  });
+  page.on("requestfailed", (request) => {
+    const errorText = request.failure()?.errorText ?? "unknown";
+    if (IGNORED_REQUEST_ERRORS.has(errorText)) return;
+    counts.requestFailures += 1;
+    pushBounded(diagnostics.networkErrors, {
+      timestamp: new Date().toISOString(),
+      kind: "requestfailed",
+      method: request.method(),
+      url: redact(request.url()),
+      resourceType: request.resourceType(),
+      errorText
+    });
+  });
+  page.on("response", (response) => {
+    const status = response.status();
+    if (status < 400) return;
+    counts.httpErrors += 1;
+    if (status >= 500) counts.http5xx += 1;
+    const request = response.request();
+    pushBounded(diagnostics.networkErrors, {
+      timestamp: new Date().toISOString(),
+      kind: "http",
+      method: request.method(),
+      url: redact(response.url()),
+      resourceType: request.resourceType(),
+      status,
+      statusText: response.statusText()
+    });
+  });
+
+  page._diagnostics = diagnostics;
+  return diagnostics;
+}
+
+// Appends this worker's entries to console.ndjson and network-errors.json
+// (collectors and action workers share a session folder) and returns the
+// counts for meta.json.
+export async function writeSessionDiagnostics(sessionDir, diagnostics) {
+  const worker = diagnostics.worker;
+  const consoleLines = [
+    ...diagnostics.consoleMessages.map((entry) => ({ kind: "console", worker, ...entry })),
+    ...diagnostics.pageErrors.map((entry) => ({ kind: "pageerror", worker, ...entry }))
+  ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  if (consoleLines.length > 0) {
+    await fs.appendFile(
+      path.join(sessionDir, "console.ndjson"),
+      consoleLines.map((entry) => JSON.stringify(entry)).join("\n") + "\n",
+      "utf-8"
+    );
+  }
+
+  const networkFile = path.join(sessionDir, "network-errors.json");
+  const existing = await fs.readJson(networkFile).catch(() => []);
+  await fs.writeJson(
+    networkFile,
+    [...existing, ...diagnostics.networkErrors.map((entry) => ({ worker, ...entry }))],
+    { spaces: 2 }
+  );
+  return { worker, ...diagnostics.counts };
+}
+
+// One-line summary of the problems worth flagging on an otherwise successful worker, or null.
+export function describeDiagnostics(counts) {
+  if (!counts) return null;
+  const parts = [
+    [counts.pageErrors, "page error(s)"],
+    [counts.consoleErrors, "console error(s)"],
+    [counts.requestFailures, "failed request(s)"],
+    [counts.http5xx, "5xx response(s)"]
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`);
+  return parts.length > 0 ? parts.join(", ") : null;
+}
+
+// Adds worker diagnostics counts into a running total (run state, reports).
+export function addDiagnosticsCounts(total, counts) {
+  if (!counts) return total;
+  Object.keys(emptyCounts()).forEach((key) => {
+    total[key] = (total[key] ?? 0) + (counts[key] ?? 0);
+  });
+  return total;
+}
+
+async function reserveFailureDir(sessionDir, stepPath) {
+  // Rows and cycles sharing a session folder can fail at the same step path.
+  let name = stepPath;
+  for (let attempt = 2; await fs.pathExists(path.join(sessionDir, "failures", name)); attempt += 1) {
+    name = `${stepPath}-${attempt}`;
+  }
+  const dir = path.join(sessionDir, "failures", name);
+  await fs.mkdir(dir, { recursive: true });
+  return { dir, relative: `failures/${name}` };
+}
+
+// Writes failures/<step-path>/ with screenshot.png, dom.html, console.json
+// (console messages, page errors and network errors so far) and failure.json
+// (url, title, step, error). Each capture is best effort: a crashed page
+// still leaves whatever could be collected.
+export async function captureFailureArtifacts(page, sessionDir, { stepPath, step, error, diagnostics }) {
+  const { dir, relative } = await reserveFailureDir(sessionDir, stepPath);
+  const files = [];
+  const problems = [];
+
+  const attempt = async (file, capture) => {
+    try {
+      await capture(path.join(dir, file));
+      files.push(file);
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+    }
+  };
+
+  await attempt("screenshot.png", (filePath) => page.screenshot({ path: filePath, fullPage: true }));
+  await attempt("dom.html", async (filePath) => fs.writeFile(filePath, redact(await page.content()), "utf-8"));
+  await attempt("console.json", (filePath) =>
+    fs.writeJson(
+      filePath,
+      {
+        consoleMessages: diagnostics?.consoleMessages ?? [],
+        pageErrors: diagnostics?.pageErrors ?? [],
+        networkErrors: diagnostics?.networkErrors ?? []
+      },
+      { spaces: 2 }
+    )
+  );
+
+  const url = redact(page.url());
+  const title = await page.title().catch(() => null);
+  await fs.writeJson(
+    path.join(dir, "failure.json"),
+    {
+      capturedAt: new Date().toISOString(),
+      url,
+      title: title === null ? null : redact(title),
+      step: { path: stepPath, type: step.type, selector: step.selector },
+      error: redact(error),
+      files,
+      ...(problems.length > 0 ? { captureErrors: problems } : {})
+    },
+    { spaces: 2 }
+  );
+  files.push("failure.json");
+
+  return { dir: relative, url, files };
+}
@@ -0,0 +1,52 @@
+// Field specs: a string is the text of a sub-selector; an object may set
+// `selector`, `attribute`, `html: true` and `list: true` (all matches as an array).
+function normalizeField(spec) {
+  if (typeof spec === "string") {
+    return { selector: spec };
+  }
+  return { ...spec };
+}
+
+export async function runExtraction(page, step) {
+  if (!step.selector) throw new Error("extract action requires selector");
+  const fields = step.fields
+    ? Object.fromEntries(Object.entries(step.fields).map(([key, spec]) => [key, normalizeField(spec)]))
+    : null;
+
+  const data = await page.evaluate(
+    ({ selector, fields, multiple }) => {
+      const readValue = (element, field) => {
+        if (!element) return null;
+        if (field.attribute) return element.getAttribute(field.attribute);
+        if (field.html) return element.innerHTML;
+        return (element.innerText ?? element.textContent ?? "").trim();
+      };
+
+      const readField = (root, field) => {
+        if (field.list) {
+          const matches = field.selector ? Array.from(root.querySelectorAll(field.selector)) : [root];
+          return matches.map((element) => readValue(element, field));
+        }
+        const element = field.selector ? root.querySelector(field.selector) : root;
+        return readValue(element, field);
+      };
+
+      const readRow = (root) => {
+        if (!fields) return readValue(root, {});
+        return Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, readField(root, field)]));
+      };
+
+      if (multiple) {
+        return Array.from(document.querySelectorAll(selector)).map(readRow);
+      }
+      const root = document.querySelector(selector);
+      return root ? readRow(root) : undefined;
+    },
+    { selector: step.selector, fields, multiple: Boolean(step.multiple) }
+  );
+
+  if (data === undefined) {
+    throw new Error(`No matching element found for extract action with selector: ${step.selector}`);
+  }
+  return data;
+}
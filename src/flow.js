@@ -0,0 +1,67 @@
+import { matchValue } from "./assertions.js";
+import { findExtracted, readPath } from "./template.js";
+
+export const CONTROL_TYPES = ["if", "repeat", "forEach", "call"];
+
+const MAX_CALL_DEPTH = 10;
+
+export function isControlStep(step) {
+  return CONTROL_TYPES.includes(step?.type);
+}
+
+function isPresent(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== "";
+}
+
+function hasMatcher(condition) {
+  return condition.equals !== undefined || condition.contains !== undefined || condition.matches !== undefined;
+}
+
+// Conditions: { exists: selector } | { url: { equals|contains|matches } } |
+// { extracted: name, path?, equals|contains|matches }. `not: true` negates.
+export async function evaluateCondition(page, condition, context) {
+  if (!condition || typeof condition !== "object") {
+    throw new Error("if action requires a condition object");
+  }
+
+  let result;
+  if (condition.exists !== undefined) {
+    result = (await page.$(condition.exists).catch(() => null)) !== null;
+  } else if (condition.url !== undefined) {
+    result = matchValue(page.url(), condition.url) === null;
+  } else if (condition.extracted !== undefined) {
+    const record = findExtracted(context.extracted, condition.extracted);
+    const value = readPath(record?.data, condition.path);
+    result = hasMatcher(condition) ? isPresent(value) && matchValue(value, condition) === null : isPresent(value);
+  } else {
+    throw new Error("if condition requires exists, url or extracted");
+  }
+
+  return condition.not ? !result : result;
+}
+
+// Tags every element matching `selector` so loop iterations can address them
+// individually through a plain attribute selector.
+export async function markMatchedElements(page, selector, loopId) {
+  const count = await page.$$eval(
+    selector,
+    (elements, id) => {
+      elements.forEach((element, index) => element.setAttribute("data-flow-item", `${id}-${index}`));
+      return elements.length;
+    },
+    loopId
+  );
+  return Array.from({ length: count }, (_, index) => `[data-flow-item="${loopId}-${index}"]`);
+}
+
+export function resolveFlow(flows, name, depth) {
+  if (depth >= MAX_CALL_DEPTH) {
+    throw new Error(`call depth exceeded ${MAX_CALL_DEPTH} while calling flow "${name}"`);
+  }
+  const steps = flows?.[name];
+  if (!Array.isArray(steps)) {
+    throw new Error(`Unknown flow: ${name}`);
+  }
+  return steps;
+}
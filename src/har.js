@@ -0,0 +1,375 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { fileURLToPath } from "node:url";
+import { REDACTED, redact } from "./secrets.js";
+import { createLogger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const packageFile = path.join(__dirname, "..", "package.json");
+const log = createLogger("har");
+
+export const HAR_DEFAULTS = {
+  includeBodies: false,
+  maxBodyBytes: 512 * 1024,
+  maxTotalBodyBytes: 20 * 1024 * 1024,
+  maxEntries: 5000,
+  redactHeaders: ["authorization", "proxy-authorization", "cookie", "set-cookie"]
+};
+
+function resolveHarOptions(settings) {
+  const options = { ...HAR_DEFAULTS, ...(settings.har ?? {}) };
+  options.redactHeaders = new Set(options.redactHeaders.map((name) => name.toLowerCase()));
+  return options;
+}
+
+// CDP joins repeated headers (set-cookie) with newlines.
+function toHeaderList(headers = {}, redactSet) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((line) => ({ name, value: redactSet.has(name.toLowerCase()) ? REDACTED : redact(line) }))
+  );
+}
+
+function findHeader(headers = {}, name) {
+  const key = Object.keys(headers).find((entry) => entry.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+function parseRequestCookies(headers, redactSet) {
+  const header = findHeader(headers, "cookie");
+  if (!header) return [];
+  const hidden = redactSet.has("cookie");
+  return header
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const separator = pair.indexOf("=");
+      const name = separator === -1 ? pair : pair.slice(0, separator);
+      const value = separator === -1 ? "" : pair.slice(separator + 1);
+      return { name, value: hidden ? REDACTED : redact(value) };
+    });
+}
+
+function parseResponseCookies(headers, redactSet) {
+  const header = findHeader(headers, "set-cookie");
+  if (!header) return [];
+  const hidden = redactSet.has("set-cookie");
+  return String(header)
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [pair, ...attributes] = line.split(";").map((part) => part.trim());
+      const separator = pair.indexOf("=");
+      const cookie = {
+        name: separator === -1 ? pair : pair.slice(0, separator),
+        value: hidden ? REDACTED : redact(separator === -1 ? "" : pair.slice(separator + 1))
+      };
+      attributes.forEach((attribute) => {
+        const [key, ...rest] = attribute.split("=");
+        const value = rest.join("=");
+        switch (key.toLowerCase()) {
+          case "path":
+            cookie.path = value;
+            break;
+          case "domain":
+            cookie.domain = value;
+            break;
+          case "expires": {
+            const expires = new Date(value);
+            if (!Number.isNaN(expires.getTime())) cookie.expires = expires.toISOString();
+            break;
+          }
+          case "httponly":
+            cookie.httpOnly = true;
+            break;
+          case "secure":
+            cookie.secure = true;
+            break;
+          case "samesite":
+            cookie.sameSite = value;
+            break;
+          default:
+            break;
+        }
+      });
+      return cookie;
+    });
+}
+
+function parseQueryString(url) {
+  try {
+    return [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value: redact(value) }));
+  } catch {
+    return [];
+  }
+}
+
+function httpVersion(protocol) {
+  if (!protocol) return "HTTP/1.1";
+  if (protocol === "h2") return "HTTP/2";
+  if (protocol === "h3" || protocol.startsWith("h3-")) return "HTTP/3";
+  return protocol.toUpperCase();
+}
+
+// Converts CDP ResourceTiming (ms offsets from `requestTime` in seconds) into HAR timings.
+function buildTimings(record, finishedAt) {
+  const timing = record.response?.timing;
+  const totalMs = finishedAt !== null ? Math.max(0, (finishedAt - record.timestamp) * 1000) : 0;
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: totalMs, receive: 0 };
+  }
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find((value) => value >= 0) ?? 0;
+  const queuedMs = Math.max(0, (timing.requestTime - record.timestamp) * 1000);
+  const receive = finishedAt !== null ? (finishedAt - timing.requestTime) * 1000 - timing.receiveHeadersEnd : 0;
+  return {
+    blocked: queuedMs + firstPhase,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive: Math.max(0, receive)
+  };
+}
+
+function totalTime(timings) {
+  // ssl is already part of connect.
+  return ["blocked", "dns", "connect", "send", "wait", "receive"].reduce(
+    (sum, key) => sum + (timings[key] > 0 ? timings[key] : 0),
+    0
+  );
+}
+
+// Records the page's network traffic through CDP Network events and builds a
+// HAR 1.2 log on stop(). Set as `page._har` so saveSession can write it.
+export async function startHarRecording(page, settings) {
+  const options = resolveHarOptions(settings);
+  const client = await page.target().createCDPSession();
+  const records = new Map();
+  const requestExtra = new Map();
+  const responseExtra = new Map();
+  const entries = [];
+  const pendingBodies = new Set();
+  const pageInfo = { startedDateTime: new Date().toISOString(), firstTimestamp: null, onContentLoad: -1, onLoad: -1 };
+  let droppedEntries = 0;
+  let bodyBytes = 0;
+  let stopped = false;
+
+  function pushExtra(map, requestId, headers) {
+    const list = map.get(requestId) ?? [];
+    list.push(headers);
+    map.set(requestId, list);
+  }
+
+  function shiftExtra(map, requestId) {
+    const list = map.get(requestId);
+    if (!list || list.length === 0) return null;
+    const headers = list.shift();
+    if (list.length === 0) map.delete(requestId);
+    return headers;
+  }
+
+  function buildEntry(record, finishedAt) {
+    const requestHeaders = shiftExtra(requestExtra, record.requestId) ?? record.request.headers;
+    const responseHeaders = record.response ? shiftExtra(responseExtra, record.requestId) ?? record.response.headers : {};
+    const timings = buildTimings(record, finishedAt);
+    const entry = {
+      pageref: "page_1",
+      startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+      time: totalTime(timings),
+      request: {
+        method: record.request.method,
+        url: redact(record.request.url),
+        httpVersion: httpVersion(record.response?.protocol),
+        cookies: parseRequestCookies(requestHeaders, options.redactHeaders),
+        headers: toHeaderList(requestHeaders, options.redactHeaders),
+        queryString: parseQueryString(record.request.url),
+        headersSize: -1,
+        bodySize: record.request.postData ? Buffer.byteLength(record.request.postData) : 0
+      },
+      response: {
+        status: record.response?.status ?? 0,
+        statusText: record.response?.statusText ?? "",
+        httpVersion: httpVersion(record.response?.protocol),
+        cookies: parseResponseCookies(responseHeaders, options.redactHeaders),
+        headers: toHeaderList(responseHeaders, options.redactHeaders),
+        content: {
+          size: record.dataLength ?? 0,
+          mimeType: record.response?.mimeType ?? "x-unknown"
+        },
+        redirectURL: redact(findHeader(responseHeaders, "location") ?? ""),
+        headersSize: -1,
+        bodySize: record.encodedDataLength ?? -1
+      },
+      cache: {},
+      timings,
+      _resourceType: record.type
+    };
+    if (record.request.postData) {
+      entry.request.postData = {
+        mimeType: findHeader(record.request.headers, "content-type") ?? "",
+        text: redact(record.request.postData.slice(0, options.maxBodyBytes))
+      };
+    }
+    if (record.response?.remoteIPAddress) {
+      entry.serverIPAddress = record.response.remoteIPAddress;
+    }
+    if (record.errorText) {
+      entry.response._error = record.errorText;
+    }
+    return entry;
+  }
+
+  function addEntry(record, finishedAt) {
+    if (entries.length >= options.maxEntries) {
+      droppedEntries += 1;
+      return null;
+    }
+    const entry = buildEntry(record, finishedAt);
+    entries.push(entry);
+    return entry;
+  }
+
+  async function captureBody(requestId, entry) {
+    const { content } = entry.response;
+    if (entry.response.bodySize > options.maxBodyBytes) {
+      content.comment = `body omitted: larger than maxBodyBytes (${options.maxBodyBytes})`;
+      return;
+    }
+    if (bodyBytes >= options.maxTotalBodyBytes) {
+      content.comment = `body omitted: maxTotalBodyBytes (${options.maxTotalBodyBytes}) reached`;
+      return;
+    }
+    try {
+      const { body, base64Encoded } = await client.send("Network.getResponseBody", { requestId });
+      const size = base64Encoded ? Buffer.byteLength(body, "base64") : Buffer.byteLength(body);
+      if (size > options.maxBodyBytes) {
+        content.comment = `body omitted: larger than maxBodyBytes (${options.maxBodyBytes})`;
+        return;
+      }
+      bodyBytes += size;
+      content.text = base64Encoded ? body : redact(body);
+      if (base64Encoded) content.encoding = "base64";
+    } catch (err) {
+      // Bodies of redirects, preflights and evicted resources are not retrievable.
+      content.comment = `body unavailable: ${err.message}`;
+    }
+  }
+
+  const handlers = {
+    "Network.requestWillBeSent": (event) => {
+      const existing = records.get(event.requestId);
+      if (existing && event.redirectResponse) {
+        existing.response = event.redirectResponse;
+        existing.encodedDataLength = event.redirectResponse.encodedDataLength;
+        addEntry(existing, event.timestamp);
+      }
+      if (pageInfo.firstTimestamp === null) {
+        pageInfo.firstTimestamp = event.timestamp;
+        pageInfo.startedDateTime = new Date(event.wallTime * 1000).toISOString();
+      }
+      records.set(event.requestId, {
+        requestId: event.requestId,
+        request: event.request,
+        type: event.type,
+        timestamp: event.timestamp,
+        wallTime: event.wallTime,
+        dataLength: 0
+      });
+    },
+    "Network.requestWillBeSentExtraInfo": (event) => pushExtra(requestExtra, event.requestId, event.headers),
+    "Network.responseReceivedExtraInfo": (event) => pushExtra(responseExtra, event.requestId, event.headers),
+    "Network.responseReceived": (event) => {
+      const record = records.get(event.requestId);
+      if (record) {
+        record.response = event.response;
+        record.type = event.type ?? record.type;
+      }
+    },
+    "Network.dataReceived": (event) => {
+      const record = records.get(event.requestId);
+      if (record) record.dataLength += event.dataLength;
+    },
+    "Network.loadingFinished": (event) => {
+      const record = records.get(event.requestId);
+      if (!record) return;
+      records.delete(event.requestId);
+      record.encodedDataLength = event.encodedDataLength;
+      const entry = addEntry(record, event.timestamp);
+      if (entry && options.includeBodies) {
+        const pending = captureBody(event.requestId, entry).finally(() => pendingBodies.delete(pending));
+        pendingBodies.add(pending);
+      }
+    },
+    "Network.loadingFailed": (event) => {
+      const record = records.get(event.requestId);
+      if (!record) return;
+      records.delete(event.requestId);
+      record.errorText = event.canceled ? "canceled" : event.errorText;
+      addEntry(record, event.timestamp);
+    },
+    "Page.domContentEventFired": (event) => {
+      if (pageInfo.onContentLoad === -1 && pageInfo.firstTimestamp !== null) {
+        pageInfo.onContentLoad = (event.timestamp - pageInfo.firstTimestamp) * 1000;
+      }
+    },
+    "Page.loadEventFired": (event) => {
+      if (pageInfo.onLoad === -1 && pageInfo.firstTimestamp !== null) {
+        pageInfo.onLoad = (event.timestamp - pageInfo.firstTimestamp) * 1000;
+      }
+    }
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => client.on(event, handler));
+  await client.send("Page.enable");
+  await client.send("Network.enable", {
+    maxTotalBufferSize: options.maxTotalBodyBytes,
+    maxResourceBufferSize: options.maxBodyBytes
+  });
+
+  const browserVersion = await page.browser().version().catch(() => "Chrome");
+  const creatorVersion = (await fs.readJson(packageFile).catch(() => ({}))).version ?? "0.0.0";
+
+  return {
+    get entryCount() {
+      return entries.length;
+    },
+    async stop() {
+      if (!stopped) {
+        stopped = true;
+        Object.entries(handlers).forEach(([event, handler]) => client.off(event, handler));
+        await Promise.all([...pendingBodies]);
+        await client.detach().catch(() => {});
+        // Responses still streaming when the recording ends are kept without their finish time.
+        records.forEach((record) => {
+          if (record.response) addEntry(record, null);
+        });
+        records.clear();
+        if (droppedEntries > 0) {
+          log.warn(`dropped ${droppedEntries} request(s) beyond maxEntries (${options.maxEntries})`);
+        }
+      }
+      const [browserName, browserBuild] = browserVersion.split("/");
+      return {
+        log: {
+          version: "1.2",
+          creator: { name: "pupeter", version: creatorVersion },
+          browser: { name: browserName, version: browserBuild ?? "" },
+          pages: [
+            {
+              startedDateTime: pageInfo.startedDateTime,
+              id: "page_1",
+              title: redact(page.url()),
+              pageTimings: { onContentLoad: pageInfo.onContentLoad, onLoad: pageInfo.onLoad }
+            }
+          ],
+          entries: [...entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+          ...(droppedEntries > 0 ? { comment: `${droppedEntries} request(s) dropped beyond maxEntries` } : {})
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,127 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { fileURLToPath } from "node:url";
+import { REDACTED } from "./secrets.js";
+import { createLogger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const log = createLogger("har");
+
+// The replayed body is already decoded and framed by Chrome.
+const SKIPPED_HEADERS = new Set(["content-encoding", "content-length", "transfer-encoding", "connection", "keep-alive"]);
+const MAX_REPORTED_UNMATCHED = 200;
+
+const archiveCache = new Map();
+
+function requestKey(method, url) {
+  return `${method.toUpperCase()} ${url.split("#")[0]}`;
+}
+
+// Successful responses that had a body when served for real (not redirects,
+// 204/304 or failures), so replaying them without one changes what the page sees.
+function expectsBody(entry) {
+  const { status, content } = entry.response;
+  return status >= 200 && status < 300 && status !== 204 && content?.size !== 0;
+}
+
+const hasBody = (entry) => entry.response.content?.text !== undefined;
+
+function toResponse(entry) {
+  const { response } = entry;
+  const headers = {};
+  response.headers.forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (SKIPPED_HEADERS.has(key) || value === REDACTED || key.startsWith(":")) return;
+    // Repeated headers (set-cookie) become a list, which request.respond() expands.
+    headers[key] = key in headers ? [headers[key]].flat().concat(value) : value;
+  });
+  const { content } = response;
+  let body = "";
+  if (content.text !== undefined) {
+    body = content.encoding === "base64" ? Buffer.from(content.text, "base64") : content.text;
+  }
+  return {
+    status: response.status,
+    headers,
+    contentType: headers["content-type"] ?? content.mimeType,
+    body
+  };
+}
+
+// Loads a HAR 1.2 archive (e.g. a collector's network.har) into a lookup by
+// method and URL. Paths resolve against the repo root; archives are cached so
+// workers replaying the same file share one copy.
+export async function loadHarArchive(harPath) {
+  const filePath = path.resolve(rootDir, harPath);
+  if (!archiveCache.has(filePath)) {
+    const har = await fs.readJson(filePath).catch((err) => {
+      throw new Error(`cannot read HAR archive ${filePath}: ${err.message}`);
+    });
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new Error(`${filePath} is not a HAR file (log.entries missing)`);
+    }
+    const entries = new Map();
+    har.log.entries.forEach((entry) => {
+      const key = requestKey(entry.request.method, entry.request.url);
+      if (!entries.has(key)) entries.set(key, []);
+      entries.get(key).push(entry);
+    });
+    // HARs recorded with the default har.includeBodies=false hold no bodies at
+    // all; replaying one would answer every request with an empty page.
+    const expected = har.log.entries.filter(expectsBody);
+    const missing = expected.filter((entry) => !hasBody(entry));
+    if (expected.length > 0 && missing.length === expected.length) {
+      throw new Error(
+        `${filePath} has no response bodies, so replaying it would serve empty responses; record it again with "har": { "includeBodies": true } in settings.json`
+      );
+    }
+    if (missing.length > 0) {
+      const reasons = [...new Set(missing.map((entry) => entry.response.content?.comment ?? "body not recorded"))];
+      log.warn(`${filePath}: ${missing.length} of ${expected.length} response(s) have no recorded body and replay empty (${reasons.slice(0, 3).join("; ")})`);
+    }
+    archiveCache.set(filePath, { path: filePath, entryCount: har.log.entries.length, entries });
+  }
+  return archiveCache.get(filePath);
+}
+
+// Per-worker replay state. Repeated requests for the same URL get the
+// recorded responses in order, the last one repeating once they run out.
+export function createHarReplay(archive) {
+  const served = new Map();
+  const unmatched = new Map();
+  let matched = 0;
+  let unmatchedCount = 0;
+
+  return {
+    // Returns { abort } for recorded network failures, { response } otherwise, or null when unmatched.
+    lookup(request) {
+      const key = requestKey(request.method(), request.url());
+      const candidates = archive.entries.get(key);
+      if (!candidates) {
+        unmatchedCount += 1;
+        if (!unmatched.has(key) && unmatched.size < MAX_REPORTED_UNMATCHED) {
+          unmatched.set(key, { method: request.method(), url: request.url(), resourceType: request.resourceType(), count: 0 });
+        }
+        if (unmatched.has(key)) unmatched.get(key).count += 1;
+        return null;
+      }
+      const position = served.get(key) ?? 0;
+      served.set(key, position + 1);
+      matched += 1;
+      const entry = candidates[Math.min(position, candidates.length - 1)];
+      if (entry.response.status === 0) {
+        return { abort: "failed" };
+      }
+      return { response: toResponse(entry) };
+    },
+    summary() {
+      return {
+        har: path.relative(rootDir, archive.path).split(path.sep).join("/"),
+        matched,
+        unmatched: unmatchedCount,
+        unmatchedRequests: [...unmatched.values()]
+      };
+    }
+  };
+}
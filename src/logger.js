@@ -0,0 +1,106 @@
+import fs from "fs-extra";
+import path from "node:path";
+import { redact } from "./secrets.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEBUG_PREFIX = "pupeter:";
+
+const config = {
+  level: process.env.PUPETER_LOG_LEVEL ?? "info",
+  format: process.env.PUPETER_LOG_FORMAT ?? "text",
+  debugPatterns: parseDebugPatterns(process.env.DEBUG)
+};
+
+let runLogStream = null;
+
+// DEBUG=pupeter:* or DEBUG=pupeter:collector,pupeter:action:grid
+function parseDebugPatterns(value) {
+  return (value ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.startsWith(DEBUG_PREFIX))
+    .map((entry) => new RegExp(`^${entry.slice(DEBUG_PREFIX.length).replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`));
+}
+
+// Environment variables win over settings.json so one run can be made verbose without editing config.
+export function configureLogging({ level, format } = {}) {
+  if (level && !process.env.PUPETER_LOG_LEVEL) config.level = level;
+  if (format && !process.env.PUPETER_LOG_FORMAT) config.format = format;
+}
+
+function isEnabled(level, namespace) {
+  if (level === "debug" && config.debugPatterns.some((pattern) => pattern.test(namespace))) {
+    return true;
+  }
+  return LEVELS[level] >= (LEVELS[config.level] ?? LEVELS.info);
+}
+
+function serializeError(err) {
+  return { message: redact(err.message), stack: redact(err.stack ?? "") };
+}
+
+function buildRecord(level, namespace, context, message, fields) {
+  const record = { time: new Date().toISOString(), level, namespace, ...context, message: redact(String(message)) };
+  if (fields instanceof Error) {
+    record.error = serializeError(fields);
+  } else if (fields && typeof fields === "object") {
+    Object.entries(fields).forEach(([key, value]) => {
+      record[key] = value instanceof Error ? serializeError(value) : value;
+    });
+  }
+  return record;
+}
+
+function formatText(record, namespace, context) {
+  const prefix = context.profileId ? `[${namespace}:${context.profileId}]` : `[${namespace}]`;
+  let line = `${prefix} ${record.message}`;
+  if (record.error) {
+    line += `\n${record.error.stack || record.error.message}`;
+  }
+  return line;
+}
+
+function write(level, namespace, context, message, fields) {
+  const record = buildRecord(level, namespace, context, message, fields);
+  if (runLogStream && LEVELS[level] >= LEVELS.info) {
+    runLogStream.write(`${redact(JSON.stringify(record))}\n`);
+  }
+  if (!isEnabled(level, namespace)) return;
+  const output = config.format === "json" ? redact(JSON.stringify(record)) : formatText(record, namespace, context);
+  if (level === "error" || level === "warn") {
+    console.error(output);
+  } else {
+    console.log(output);
+  }
+}
+
+// Namespaces follow the historical prefixes: "controller", "collector",
+// "action", "action:grid", "server", "sessionManager". A `profileId` in the
+// context is appended in text mode, e.g. "[collector:0001]".
+export function createLogger(namespace, context = {}) {
+  return {
+    namespace,
+    context,
+    child(extraContext) {
+      return createLogger(namespace, { ...context, ...extraContext });
+    },
+    debug: (message, fields) => write("debug", namespace, context, message, fields),
+    info: (message, fields) => write("info", namespace, context, message, fields),
+    warn: (message, fields) => write("warn", namespace, context, message, fields),
+    error: (message, fields) => write("error", namespace, context, message, fields)
+  };
+}
+
+// Copies every info-and-above record (as JSON lines) to a per-run log file.
+export async function openRunLog(filePath) {
+  await closeRunLog();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  runLogStream = fs.createWriteStream(filePath, { flags: "a" });
+}
+
+export async function closeRunLog() {
+  if (!runLogStream) return;
+  const stream = runLogStream;
+  runLogStream = null;
+  await new Promise((resolve) => stream.end(resolve));
+}
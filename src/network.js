@@ -0,0 +1,214 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { setTimeout as delay } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import { createLogger } from "./logger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+// Aborts use this code so diagnostics can tell our own blocking from real failures.
+const BLOCKED_ERROR_CODE = "blockedbyclient";
+
+const FIXTURE_TYPES = {
+  ".json": "application/json",
+  ".js": "application/javascript",
+  ".mjs": "application/javascript",
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".woff2": "font/woff2"
+};
+
+const fixtureCache = new Map();
+
+// `**` matches anything, `*` anything but "/", `?` one character.
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += ".";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : [value]).map((entry) => String(entry).toLowerCase());
+}
+
+function compileRule(rule, source) {
+  return {
+    ...rule,
+    source,
+    urlPattern: rule.url ? globToRegExp(rule.url) : null,
+    urlRegex: rule.urlRegex ? new RegExp(rule.urlRegex) : null,
+    methods: toList(rule.method),
+    resourceTypes: toList(rule.resourceType)
+  };
+}
+
+// Site rules run first, then the global ones from settings.json; first match wins.
+export function buildNetworkRules(site, settings) {
+  return [
+    ...(site.networkRules ?? []).map((rule, index) => compileRule(rule, `${site.id}[${index}]`)),
+    ...(settings.networkRules ?? []).map((rule, index) => compileRule(rule, `settings[${index}]`))
+  ];
+}
+
+export function findMatchingRule(rules, request) {
+  const url = request.url();
+  const method = request.method().toLowerCase();
+  const resourceType = request.resourceType();
+  return (
+    rules.find(
+      (rule) =>
+        (!rule.urlPattern || rule.urlPattern.test(url)) &&
+        (!rule.urlRegex || rule.urlRegex.test(url)) &&
+        (!rule.methods || rule.methods.includes(method)) &&
+        (!rule.resourceTypes || rule.resourceTypes.includes(resourceType))
+    ) ?? null
+  );
+}
+
+async function readFixture(file) {
+  const filePath = path.resolve(rootDir, file);
+  if (!fixtureCache.has(filePath)) {
+    fixtureCache.set(filePath, await fs.readFile(filePath));
+  }
+  return { body: fixtureCache.get(filePath), contentType: FIXTURE_TYPES[path.extname(filePath).toLowerCase()] };
+}
+
+async function buildFulfillment(rule) {
+  let body = "";
+  let contentType = "text/plain; charset=utf-8";
+  if (rule.file) {
+    const fixture = await readFixture(rule.file);
+    body = fixture.body;
+    contentType = fixture.contentType ?? "application/octet-stream";
+  } else if (rule.json !== undefined) {
+    body = JSON.stringify(rule.json);
+    contentType = "application/json";
+  } else if (rule.body !== undefined) {
+    body = String(rule.body);
+  }
+  return {
+    status: rule.status ?? 200,
+    headers: rule.headers ?? {},
+    contentType: rule.contentType ?? contentType,
+    body
+  };
+}
+
+function rewriteHeaders(request, rule) {
+  if (!rule.setHeaders && !rule.removeHeaders) return undefined;
+  const removed = new Set((rule.removeHeaders ?? []).map((name) => name.toLowerCase()));
+  const headers = Object.fromEntries(
+    Object.entries(request.headers()).filter(([name]) => !removed.has(name.toLowerCase()))
+  );
+  return { ...headers, ...(rule.setHeaders ?? {}) };
+}
+
+async function applyRule(request, rule) {
+  if (rule.delayMs) {
+    await delay(rule.delayMs);
+  }
+  switch (rule.action) {
+    case "abort":
+      await request.abort(rule.errorCode ?? BLOCKED_ERROR_CODE);
+      break;
+    case "fulfill":
+      await request.respond(await buildFulfillment(rule));
+      break;
+    default: {
+      const headers = rewriteHeaders(request, rule);
+      await request.continue(headers ? { headers } : undefined);
+      break;
+    }
+  }
+}
+
+function isBlockedByPolicy(request, settings, site) {
+  const globalPolicy = settings.blockResources ?? {};
+  const sitePolicy = site.resourcePolicy ?? {};
+  const allowedTypes = sitePolicy.allowedResourceTypes;
+  const blockedTypes = sitePolicy.blockedResourceTypes ?? [];
+  const type = request.resourceType();
+
+  if (Array.isArray(allowedTypes) && allowedTypes.length > 0 && !allowedTypes.includes(type)) {
+    return true;
+  }
+  if (blockedTypes.includes(type)) {
+    return true;
+  }
+  if (globalPolicy.images && type === "image") {
+    return true;
+  }
+  if (globalPolicy.media && (type === "media" || type === "font")) {
+    return true;
+  }
+  if (globalPolicy.thirdParty) {
+    try {
+      const frameHostname = new URL(request.frame()?.url() ?? "").hostname;
+      const requestHost = new URL(request.url()).hostname;
+      return Boolean(frameHostname && requestHost && requestHost !== frameHostname);
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+function replayRequest(request, replay, logger) {
+  const recorded = replay.lookup(request);
+  if (!recorded) {
+    // Offline replay: nothing unrecorded reaches the network.
+    logger.debug(`replay: no recorded response for ${request.method()} ${request.url()}`);
+    return request.abort(BLOCKED_ERROR_CODE);
+  }
+  return recorded.abort ? request.abort(recorded.abort) : request.respond(recorded.response);
+}
+
+// The single request handler for a worker page: declarative `networkRules`
+// first, then the HAR replay when one is given, then (collectors only) the
+// resource policy, otherwise continue.
+export async function installRequestRouting(page, { site, settings, resourcePolicy = false, replay = null, logContext = {} }) {
+  const logger = createLogger("network", logContext);
+  const rules = buildNetworkRules(site, settings);
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    const rule = findMatchingRule(rules, request);
+    let handled;
+    if (rule) {
+      logger.debug(`rule ${rule.source} (${rule.action}) matched ${request.method()} ${request.url()}`);
+      handled = applyRule(request, rule);
+    } else if (replay) {
+      handled = replayRequest(request, replay, logger);
+    } else if (resourcePolicy && isBlockedByPolicy(request, settings, site)) {
+      handled = request.abort(BLOCKED_ERROR_CODE);
+    } else {
+      handled = request.continue();
+    }
+    handled.catch((err) => {
+      // Requests of a navigated-away frame or a closed page cannot be handled any more.
+      if (!/already handled|Target closed|Session closed/i.test(err.message)) {
+        logger.warn(`network rule ${rule?.source ?? "default"} failed for ${request.url()}: ${err.message}`);
+      }
+      request.continue().catch(() => {});
+    });
+  });
+  return rules;
+}
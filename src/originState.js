@@ -0,0 +1,385 @@
+// Storage that lives per origin rather than per page: localStorage,
+// sessionStorage, IndexedDB and Cache Storage for every origin a session
+// visited (SSO redirects, embedded login frames), saved as origins.json with a
+// manifest under `origins` in meta.json.
+
+const DEFAULT_OPTIONS = { indexedDB: true, cacheStorage: true, maxCacheEntryBytes: 1048576 };
+const DEFAULT_ORIGIN_TIMEOUT_SEC = 10;
+const SCRATCH_DOCUMENT = "<!doctype html><title>session state</title>";
+
+// The http(s) origin of a URL, or null (about:blank, data:, chrome-error:, ...).
+export function originOf(url) {
+  try {
+    const parsed = new URL(url);
+    return ["http:", "https:"].includes(parsed.protocol) ? parsed.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// IndexedDB values (structured clones) to JSON and back. Both also run inside
+// the page, passed in as source, so they may not use anything from this module.
+export async function encodeStoredValue(value) {
+  const toBase64 = (bytes) => {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  };
+  if (value === undefined) return { $t: "undefined" };
+  if (value === null || typeof value === "boolean" || typeof value === "string") return value;
+  if (typeof value === "number") return Number.isFinite(value) ? value : { $t: "number", v: String(value) };
+  if (typeof value === "bigint") return { $t: "BigInt", v: value.toString() };
+  if (Array.isArray(value)) return Promise.all(value.map(encodeStoredValue));
+  if (value instanceof Date) return { $t: "Date", v: String(value.getTime()) };
+  if (value instanceof RegExp) return { $t: "RegExp", v: value.source, flags: value.flags };
+  if (value instanceof ArrayBuffer) return { $t: "ArrayBuffer", v: toBase64(new Uint8Array(value)) };
+  if (ArrayBuffer.isView(value)) {
+    return { $t: value.constructor.name, v: toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  }
+  if (value instanceof Blob) {
+    return { $t: "Blob", type: value.type, name: value.name, v: toBase64(new Uint8Array(await value.arrayBuffer())) };
+  }
+  if (value instanceof Map) {
+    return { $t: "Map", v: await Promise.all([...value].map((pair) => Promise.all(pair.map(encodeStoredValue)))) };
+  }
+  if (value instanceof Set) return { $t: "Set", v: await Promise.all([...value].map(encodeStoredValue)) };
+  const object = Object.fromEntries(
+    await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await encodeStoredValue(item)]))
+  );
+  // A stored object with its own $t key is wrapped so it is not read back as a tag.
+  return "$t" in object ? { $t: "Object", v: object } : object;
+}
+
+export function decodeStoredValue(value) {
+  const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  const decodeObject = (object) => Object.fromEntries(Object.entries(object).map(([key, item]) => [key, decodeStoredValue(item)]));
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(decodeStoredValue);
+  switch (value.$t) {
+    case undefined:
+      return decodeObject(value);
+    case "Object":
+      return decodeObject(value.v);
+    case "undefined":
+      return undefined;
+    case "number":
+      return Number(value.v);
+    case "BigInt":
+      return BigInt(value.v);
+    case "Date":
+      return new Date(Number(value.v));
+    case "RegExp":
+      return new RegExp(value.v, value.flags);
+    case "ArrayBuffer":
+      return fromBase64(value.v).buffer;
+    case "DataView":
+      return new DataView(fromBase64(value.v).buffer);
+    case "Blob":
+      return value.name === undefined
+        ? new Blob([fromBase64(value.v)], { type: value.type })
+        : new File([fromBase64(value.v)], value.name, { type: value.type });
+    case "Map":
+      return new Map(value.v.map((pair) => pair.map(decodeStoredValue)));
+    case "Set":
+      return new Set(value.v.map(decodeStoredValue));
+    default:
+      if (/^(?:(?:Int|Uint|Float)(?:8|16|32|64)|Uint8Clamped|Big(?:Int|Uint)64)Array$/.test(value.$t)) {
+        return new globalThis[value.$t](fromBase64(value.v).buffer);
+      }
+      throw new Error(`unknown stored value type "${value.$t}"`);
+  }
+}
+
+// Runs in the scratch tab on the origin's blank document.
+async function dumpOriginState(options, encode) {
+  const request = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  const state = { localStorage: {}, indexedDB: [], cacheStorage: [] };
+  for (let i = 0; i < localStorage.length; i += 1) {
+    const key = localStorage.key(i);
+    state.localStorage[key] = localStorage.getItem(key);
+  }
+
+  if (options.indexedDB && indexedDB.databases) {
+    for (const info of await indexedDB.databases()) {
+      const db = await request(indexedDB.open(info.name));
+      const stores = [];
+      try {
+        for (const storeName of db.objectStoreNames) {
+          const store = db.transaction(storeName, "readonly").objectStore(storeName);
+          const [values, keys] = await Promise.all([request(store.getAll()), request(store.getAllKeys())]);
+          const indexes = [...store.indexNames].map((name) => {
+            const index = store.index(name);
+            return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+          });
+          stores.push({ name: storeName, keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes, values, keys });
+        }
+      } finally {
+        db.close();
+      }
+      // Encoded after the transactions are done: reading Blobs is async and would let them auto-commit.
+      const encodedStores = [];
+      for (const { values, keys, ...store } of stores) {
+        const records = [];
+        for (let i = 0; i < values.length; i += 1) {
+          records.push({ key: await encode(keys[i]), value: await encode(values[i]) });
+        }
+        encodedStores.push({ ...store, records });
+      }
+      state.indexedDB.push({ name: db.name, version: db.version, stores: encodedStores });
+    }
+  }
+
+  // Cache Storage only exists in secure contexts (https, localhost).
+  if (options.cacheStorage && typeof caches !== "undefined") {
+    for (const name of await caches.keys()) {
+      const cache = await caches.open(name);
+      const saved = { name, entries: [], skipped: 0 };
+      for (const entry of await cache.keys()) {
+        const response = await cache.match(entry);
+        // Opaque (cross-origin no-cors) and partial responses cannot be put back.
+        if (!response || response.type === "opaque" || response.status === 206) {
+          saved.skipped += 1;
+          continue;
+        }
+        const body = await response.arrayBuffer();
+        if (body.byteLength > options.maxCacheEntryBytes) {
+          saved.skipped += 1;
+          continue;
+        }
+        saved.entries.push({
+          url: entry.url,
+          status: response.status,
+          statusText: response.statusText,
+          headers: [...response.headers],
+          body: await encode(body)
+        });
+      }
+      state.cacheStorage.push(saved);
+    }
+  }
+  return state;
+}
+
+// Runs in the scratch tab; saved databases and caches replace the ones of the
+// same name, localStorage keys are set over what is there.
+async function loadOriginState(state, decode) {
+  const request = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("blocked by a connection another tab holds open"));
+    });
+  Object.entries(state.localStorage ?? {}).forEach(([key, value]) => localStorage.setItem(key, value));
+
+  for (const database of state.indexedDB ?? []) {
+    await request(indexedDB.deleteDatabase(database.name));
+    const open = indexedDB.open(database.name, database.version);
+    open.onupgradeneeded = () => {
+      database.stores.forEach((saved) => {
+        const store = open.result.createObjectStore(saved.name, { keyPath: saved.keyPath, autoIncrement: saved.autoIncrement });
+        saved.indexes.forEach((index) => store.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry }));
+      });
+    };
+    const db = await request(open);
+    try {
+      if (database.stores.length > 0) {
+        const tx = db.transaction(database.stores.map((saved) => saved.name), "readwrite");
+        database.stores.forEach((saved) => {
+          const store = tx.objectStore(saved.name);
+          saved.records.forEach(({ key, value }) => {
+            // Stores with a keyPath take the key from the value itself.
+            if (saved.keyPath === null) store.put(decode(value), decode(key));
+            else store.put(decode(value));
+          });
+        });
+        await new Promise((resolve, reject) => {
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  if (typeof caches !== "undefined") {
+    for (const saved of state.cacheStorage ?? []) {
+      await caches.delete(saved.name);
+      const cache = await caches.open(saved.name);
+      for (const entry of saved.entries) {
+        const nullBody = [101, 103, 204, 205, 304].includes(entry.status);
+        const response = new Response(nullBody ? null : decode(entry.body), {
+          status: entry.status,
+          statusText: entry.statusText,
+          headers: entry.headers
+        });
+        await cache.put(entry.url, response);
+      }
+    }
+  }
+}
+
+async function openScratchTab(browser) {
+  const scratch = await browser.newPage();
+  await scratch.setBypassServiceWorker(true);
+  await scratch.setRequestInterception(true);
+  scratch.on("request", (request) => {
+    const isDocument = request.isNavigationRequest() && request.frame() === scratch.mainFrame();
+    (isDocument ? request.respond({ status: 200, contentType: "text/html", body: SCRATCH_DOCUMENT }) : request.abort()).catch(() => {});
+  });
+  return scratch;
+}
+
+function withinBudget(promise, ms) {
+  let timer;
+  promise.catch(() => {});
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`timed out after ${ms} ms`), { expired: true })), ms);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Opens each origin in a scratch tab of the same browser (so the same storage)
+// on a blank document served in place of the site: no request reaches the
+// site and none of its scripts or service workers run. Each origin gets at
+// most originTimeoutSec and the whole pass the caller's timeout, so a hanging
+// origin (e.g. a blocked IndexedDB upgrade) costs its own budget rather than
+// the full timeout; origins left when the time is up are reported as errors.
+async function forEachOrigin(browser, origins, { timeoutMs, originTimeoutMs }, fn) {
+  const results = {};
+  if (origins.length === 0) return results;
+  const deadline = Date.now() + timeoutMs;
+  let scratch = await openScratchTab(browser);
+  try {
+    for (const origin of origins) {
+      const budget = Math.min(originTimeoutMs, deadline - Date.now());
+      if (budget <= 0) {
+        results[origin] = { error: `skipped, ${timeoutMs} ms timeout for all origins used up` };
+        continue;
+      }
+      try {
+        results[origin] = await withinBudget(
+          scratch.goto(`${origin}/`, { waitUntil: "domcontentloaded", timeout: budget }).then(() => fn(scratch, origin)),
+          budget
+        );
+      } catch (err) {
+        results[origin] = { error: err.message };
+        // The timed-out script may still hold the tab; the next origin gets a fresh one.
+        if (err.expired) {
+          await scratch.close().catch(() => {});
+          scratch = await openScratchTab(browser);
+        }
+      }
+    }
+  } finally {
+    await scratch.close().catch(() => {});
+  }
+  return results;
+}
+
+function originBudget(settings, timeoutMs) {
+  const originTimeoutSec = settings.sessionState?.originTimeoutSec ?? DEFAULT_ORIGIN_TIMEOUT_SEC;
+  return { timeoutMs, originTimeoutMs: originTimeoutSec * 1000 };
+}
+
+// Records the origin of every document the page or its frames load as
+// `page._origins`, so saveSession knows whose storage to capture. Origins of a
+// restored session stay on the list even when the workflow does not revisit them.
+export function trackVisitedOrigins(page, initialOrigins = []) {
+  const origins = new Set(initialOrigins.map(originOf).filter(Boolean));
+  page.on("framenavigated", (frame) => {
+    const origin = originOf(frame.url());
+    if (origin) origins.add(origin);
+  });
+  page._origins = origins;
+  return origins;
+}
+
+// sessionStorage belongs to the tab, so it is read from the frames the page
+// has open now rather than from the scratch tab.
+async function readFrameSessionStorage(page) {
+  const byOrigin = {};
+  for (const frame of page.frames()) {
+    const origin = originOf(frame.url());
+    if (!origin || byOrigin[origin]) continue;
+    const entries = await frame
+      .evaluate(() => Object.fromEntries(Object.keys(window.sessionStorage).map((key) => [key, window.sessionStorage.getItem(key)])))
+      .catch(() => null);
+    if (entries) byOrigin[origin] = entries;
+  }
+  return byOrigin;
+}
+
+// What meta.json records about an origin: counts and names, never values.
+export function describeOriginState(origin, state) {
+  return {
+    origin,
+    localStorage: Object.keys(state.localStorage ?? {}).length,
+    sessionStorage: Object.keys(state.sessionStorage ?? {}).length,
+    indexedDB: (state.indexedDB ?? []).map((database) => ({
+      name: database.name,
+      version: database.version,
+      stores: Object.fromEntries(database.stores.map((store) => [store.name, store.records.length]))
+    })),
+    cacheStorage: (state.cacheStorage ?? []).map((cache) => ({
+      name: cache.name,
+      entries: cache.entries.length,
+      ...(cache.skipped > 0 ? { skipped: cache.skipped } : {})
+    }))
+  };
+}
+
+// Returns { state, manifest }: state (origins.json) maps each visited origin
+// to its storage, manifest (meta.json `origins`) describes it, with an `error`
+// for origins that could not be read. timeoutMs bounds the whole capture.
+export async function captureOriginState(page, settings, { timeoutMs }) {
+  const { originTimeoutSec, ...options } = { ...DEFAULT_OPTIONS, ...settings.sessionState };
+  const origins = [...new Set([originOf(page.url()), ...(page._origins ?? [])].filter(Boolean))];
+  const sessionStorage = await readFrameSessionStorage(page);
+  const dumped = await forEachOrigin(page.browser(), origins, originBudget(settings, timeoutMs), (scratch) =>
+    scratch.evaluate(`(${dumpOriginState})(${JSON.stringify(options)}, ${encodeStoredValue})`)
+  );
+
+  const state = {};
+  const manifest = origins.map((origin) => {
+    if (dumped[origin].error) return { origin, error: dumped[origin].error };
+    state[origin] = { ...dumped[origin], sessionStorage: sessionStorage[origin] ?? {} };
+    return describeOriginState(origin, state[origin]);
+  });
+  return { state, manifest };
+}
+
+// Puts saved origin storage back before the page's first navigation: storage,
+// databases and caches through the scratch tab, sessionStorage by seeding each
+// origin's first document in this tab (when the origin has none yet). Returns
+// the origins that could not be restored as [{ origin, error }]. timeoutMs
+// bounds the whole restore.
+export async function restoreOriginState(page, savedOrigins, settings, { timeoutMs }) {
+  const origins = Object.keys(savedOrigins ?? {}).filter(originOf);
+  if (origins.length === 0) return [];
+
+  const sessionEntries = Object.fromEntries(
+    origins.filter((origin) => Object.keys(savedOrigins[origin].sessionStorage ?? {}).length > 0).map((origin) => [origin, savedOrigins[origin].sessionStorage])
+  );
+  if (Object.keys(sessionEntries).length > 0) {
+    await page.evaluateOnNewDocument((byOrigin) => {
+      const entries = byOrigin[window.location.origin];
+      try {
+        if (!entries || window.sessionStorage.length > 0) return;
+        Object.entries(entries).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+      } catch {
+        // Sandboxed frames throw on sessionStorage access.
+      }
+    }, sessionEntries);
+  }
+
+  const results = await forEachOrigin(page.browser(), origins, originBudget(settings, timeoutMs), (scratch, origin) =>
+    scratch.evaluate(`(${loadOriginState})(${JSON.stringify(savedOrigins[origin])}, ${decodeStoredValue})`)
+  );
+  return origins.filter((origin) => results[origin]?.error).map((origin) => ({ origin, error: results[origin].error }));
+}
@@ -0,0 +1,267 @@
+import puppeteer from "puppeteer";
+import { createLogger } from "./logger.js";
+import { installRequestRouting } from "./network.js";
+
+const BINDING = "__pupeterRecord";
+const SCROLL_DURATION_MS = 800;
+
+// Runs inside every document of the recorded page (serialized by
+// evaluateOnNewDocument, so it must not use anything from this module).
+function installPageRecorder(binding) {
+  if (window.top !== window || window.__pupeterRecorderInstalled) return;
+  window.__pupeterRecorderInstalled = true;
+
+  const quote = (value) => `'${value.replace(/['\\]/g, "\\$&")}'`;
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch {
+      return false;
+    }
+  };
+  // Generated ids and classes (framework hashes, counters) change between page loads.
+  const looksGenerated = (value) => /\d{3,}|^[a-f0-9-]{8,}$|^:r|[_-][a-zA-Z0-9]{5,}\d/.test(value) || value.length > 40;
+  // Step selectors are split on commas (click/type try alternatives), so none may contain one.
+  const usable = (value) => value && !value.includes(",") && !looksGenerated(value);
+
+  const candidates = (element) => {
+    const tag = element.tagName.toLowerCase();
+    const list = [];
+    if (element.id && usable(element.id)) list.push(`#${CSS.escape(element.id)}`);
+    ["data-testid", "data-test", "data-qa", "data-cy"].forEach((attribute) => {
+      const value = element.getAttribute(attribute);
+      if (value && !value.includes(",")) list.push(`[${attribute}=${quote(value)}]`);
+    });
+    ["name", "aria-label", "placeholder", "title", "alt"].forEach((attribute) => {
+      const value = element.getAttribute(attribute);
+      if (value && !value.includes(",") && value.length <= 60) list.push(`${tag}[${attribute}=${quote(value)}]`);
+    });
+    if (tag === "a") {
+      const href = element.getAttribute("href");
+      if (href && !href.startsWith("javascript:") && !href.includes(",")) list.push(`a[href=${quote(href)}]`);
+    }
+    if (tag === "input" && element.type && element.type !== "text") list.push(`input[type=${quote(element.type)}]`);
+    const classes = Array.from(element.classList).filter(usable).slice(0, 2);
+    if (classes.length > 0) list.push(`${tag}.${classes.map((name) => CSS.escape(name)).join(".")}`);
+    return list;
+  };
+
+  const nthPath = (element) => {
+    const parts = [];
+    let current = element;
+    while (current && current !== document.documentElement) {
+      const tag = current.tagName.toLowerCase();
+      if (current.id && usable(current.id) && current !== element) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const siblings = Array.from(current.parentElement?.children ?? []).filter((child) => child.tagName === current.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+    return parts.join(" > ");
+  };
+
+  // Stable attributes first; otherwise an attribute scoped under the nearest
+  // ancestor with an id; otherwise a structural path.
+  const selectorFor = (element) => {
+    const own = candidates(element);
+    const unique = own.find(isUnique);
+    if (unique) return unique;
+    const anchor = element.parentElement?.closest("[id]");
+    if (anchor && usable(anchor.id)) {
+      const scoped = own.map((selector) => `#${CSS.escape(anchor.id)} ${selector}`).find(isUnique);
+      if (scoped) return scoped;
+    }
+    return nthPath(element);
+  };
+
+  // Clicks on labels, icons and spans inside a button or link belong to that control.
+  const interactiveTarget = (element) =>
+    element.closest("a, button, input, select, textarea, label, summary, [role='button'], [role='link'], [role='tab'], [role='menuitem'], [onclick]") ?? element;
+
+  const send = (event) => window[binding]?.(JSON.stringify({ ...event, url: location.href })).catch(() => {});
+
+  const isTextField = (element) =>
+    element instanceof HTMLTextAreaElement ||
+    (element instanceof HTMLInputElement && !["checkbox", "radio", "button", "submit", "reset", "file", "image", "range", "color"].includes(element.type)) ||
+    element?.isContentEditable;
+
+  // Typing is recorded once per field, with its final value, when focus or the page moves on.
+  const pending = new Set();
+  const flushTyping = () => {
+    pending.forEach((element) => {
+      const value = element.isContentEditable ? element.innerText : element.value;
+      send({ kind: "type", selector: selectorFor(element), value, sensitive: element.type === "password" });
+    });
+    pending.clear();
+  };
+
+  document.addEventListener("input", (event) => {
+    if (event.isTrusted && isTextField(event.target)) pending.add(event.target);
+  }, true);
+  document.addEventListener("change", (event) => {
+    const element = event.target;
+    if (!event.isTrusted) return;
+    if (isTextField(element)) {
+      flushTyping();
+    } else if (element instanceof HTMLSelectElement) {
+      send({ kind: "select", selector: selectorFor(element), value: element.value });
+    }
+  }, true);
+  document.addEventListener("focusout", (event) => {
+    if (pending.has(event.target)) flushTyping();
+  }, true);
+
+  document.addEventListener("click", (event) => {
+    // detail === 0: clicks synthesized by the keyboard (Enter submitting a form), recorded as key steps.
+    if (!event.isTrusted || event.detail === 0) return;
+    flushTyping();
+    const target = interactiveTarget(event.target);
+    // Opening a <select> is part of choosing an option, reported on change.
+    if (target instanceof HTMLSelectElement) return;
+    send({ kind: "click", selector: selectorFor(target) });
+  }, true);
+
+  const MODIFIER_KEYS = ["Control", "Shift", "Alt", "Meta"];
+  const EDITING_KEYS = new Set(["Backspace", "Delete", "Home", "End", "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown"]);
+  document.addEventListener("keydown", (event) => {
+    if (!event.isTrusted || MODIFIER_KEYS.includes(event.key)) return;
+    const modifiers = ["Control", "Alt", "Meta"].filter((name) => event.getModifierState(name));
+    // In a field, characters and editing keys are part of the typed value.
+    if (isTextField(event.target) && modifiers.length === 0 && (event.key.length === 1 || EDITING_KEYS.has(event.key))) return;
+    flushTyping();
+    if (event.shiftKey) modifiers.push("Shift");
+    // Key codes (KeyK, Digit1, Slash) replay the same physical key whatever the layout.
+    const key = event.key.length === 1 ? event.code : event.key;
+    send({ kind: "key", key: [...modifiers, key].join("+") });
+  }, true);
+
+  let scrollTimer = null;
+  let lastScrollY = window.scrollY;
+  window.addEventListener("scroll", () => {
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(() => {
+      const distance = Math.round(window.scrollY - lastScrollY);
+      lastScrollY = window.scrollY;
+      if (Math.abs(distance) >= 50) send({ kind: "scroll", distance });
+    }, 400);
+  }, { passive: true });
+
+  window.addEventListener("pagehide", flushTyping);
+}
+
+function pathOf(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+// Turns one recorded page event into a step; `site` names password secrets.
+function toStep(event, site) {
+  switch (event.kind) {
+    case "click":
+      return { type: "click", selector: event.selector };
+    case "type":
+      return {
+        type: "type",
+        selector: event.selector,
+        // Passwords never land in actions.json; store the value with `secrets set`.
+        text: event.sensitive ? { secret: `${site.id}.password` } : event.value,
+        clear: true
+      };
+    case "key":
+      return { type: "key", key: event.key };
+    case "scroll":
+      return { type: "scroll", distance: event.distance, durationMs: SCROLL_DURATION_MS };
+    case "navigate":
+      return { type: "assertUrl", contains: pathOf(event.url) };
+    default:
+      return null;
+  }
+}
+
+// Drops the noise a human session produces: the click that focused a field
+// right before typing into it, repeated typing into one field, back-to-back
+// scrolls and navigations with nothing in between.
+function compactSteps(steps) {
+  const result = [];
+  steps.forEach((step) => {
+    const previous = result[result.length - 1];
+    if (previous && step.type === "type" && previous.type === "click" && previous.selector === step.selector) {
+      result.pop();
+    } else if (previous && step.type === "type" && previous.type === "type" && previous.selector === step.selector) {
+      result.pop();
+    } else if (previous && step.type === "scroll" && previous.type === "scroll") {
+      previous.distance += step.distance;
+      if (previous.distance === 0) result.pop();
+      return;
+    } else if (previous && step.type === "assertUrl" && previous.type === "assertUrl") {
+      result.pop();
+    }
+    result.push(step);
+  });
+  return result;
+}
+
+export function eventsToSteps(events, site) {
+  return compactSteps(events.map((event) => toStep(event, site)).filter(Boolean));
+}
+
+// Opens a headful browser on the site's startUrl and records clicks, typing,
+// key presses, scrolls and navigations until the window is closed. Resolves
+// with the recorded steps in actions.json form.
+export async function recordWorkflow({ site, settings }) {
+  const log = createLogger("recorder", { site: site.id });
+  const events = [];
+  const browser = await puppeteer.launch({
+    headless: false,
+    defaultViewport: null,
+    args: ["--disable-blink-features=AutomationControlled", "--no-first-run", "--no-default-browser-check"]
+  });
+
+  const closed = new Promise((resolve) => browser.once("disconnected", resolve));
+  try {
+    const [page] = await browser.pages();
+    await page.exposeFunction(BINDING, (payload) => {
+      const event = JSON.parse(payload);
+      events.push(event);
+      log.debug(`${event.kind} ${event.selector ?? event.key ?? event.distance ?? ""}`);
+    });
+    await page.evaluateOnNewDocument(installPageRecorder, BINDING);
+    await installRequestRouting(page, { site, settings, logContext: { site: site.id } });
+
+    let initialUrl = null;
+    page.on("framenavigated", (frame) => {
+      if (frame !== page.mainFrame()) return;
+      const url = frame.url();
+      if (initialUrl === null) {
+        initialUrl = url;
+        return;
+      }
+      const last = events[events.length - 1];
+      if (!(last?.kind === "navigate" && last.url === url)) {
+        events.push({ kind: "navigate", url });
+      }
+    });
+    // Closing the last tab ends the recording too.
+    page.once("close", () => browser.close().catch(() => {}));
+
+    await page.goto(site.startUrl, { waitUntil: "domcontentloaded", timeout: settings.actionTimeoutSec * 1000 });
+    log.info(`recording on ${site.startUrl}; close the browser window to finish`);
+    await closed;
+  } finally {
+    await browser.close().catch(() => {});
+  }
+
+  // No step type chooses <select> options yet; point at them instead of guessing.
+  events
+    .filter((event) => event.kind === "select")
+    .forEach((event) => log.warn(`option "${event.value}" chosen in ${event.selector} was not recorded; add that step by hand`));
+  const steps = eventsToSteps(events, site);
+  log.info(`recorded ${events.length} event(s) as ${steps.length} step(s)`);
+  return steps;
+}
@@ -0,0 +1,116 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { spawnSync } from "node:child_process";
+import { createLogger } from "./logger.js";
+
+const RECORDING_DEFAULTS = {
+  video: "off",
+  trace: "off",
+  videoFormat: "webm",
+  ffmpegPath: "ffmpeg",
+  frameQuality: 60,
+  maxFrames: 3000
+};
+
+const log = createLogger("recording");
+const ffmpegChecks = new Map();
+
+function resolveRecordingOptions(settings) {
+  return { ...RECORDING_DEFAULTS, ...(settings.recording ?? {}) };
+}
+
+function hasFfmpeg(ffmpegPath) {
+  if (!ffmpegChecks.has(ffmpegPath)) {
+    const result = spawnSync(ffmpegPath, ["-version"], { stdio: "ignore" });
+    const found = !result.error && result.status === 0;
+    if (!found) {
+      log.warn(`ffmpeg not found at "${ffmpegPath}", recording video as frames instead`);
+    }
+    ffmpegChecks.set(ffmpegPath, found);
+  }
+  return ffmpegChecks.get(ffmpegPath);
+}
+
+// Fallback when ffmpeg is missing (or videoFormat is "frames"): CDP screencast
+// frames as JPEGs plus frames.json with their timestamps for replay.
+async function startFrameCapture(page, framesDir, options) {
+  await fs.mkdir(framesDir, { recursive: true });
+  const client = await page.target().createCDPSession();
+  const frames = [];
+  const writes = [];
+  const onFrame = (event) => {
+    client.send("Page.screencastFrameAck", { sessionId: event.sessionId }).catch(() => {});
+    if (frames.length >= options.maxFrames) return;
+    const file = `${String(frames.length + 1).padStart(6, "0")}.jpg`;
+    frames.push({ file, timestamp: event.metadata.timestamp });
+    writes.push(fs.writeFile(path.join(framesDir, file), Buffer.from(event.data, "base64")));
+  };
+  client.on("Page.screencastFrame", onFrame);
+  await client.send("Page.startScreencast", { format: "jpeg", quality: options.frameQuality });
+
+  return {
+    async stop() {
+      await client.send("Page.stopScreencast").catch(() => {});
+      client.off("Page.screencastFrame", onFrame);
+      await client.detach().catch(() => {});
+      await Promise.all(writes);
+      await fs.writeJson(path.join(framesDir, "frames.json"), { frameCount: frames.length, frames }, { spaces: 2 });
+    }
+  };
+}
+
+// Starts the video and trace capture configured under `settings.recording` for
+// one worker page. Everything lands in `<sessionDir>/recordings/<label>/`;
+// stop({ failed }) keeps "on-failure" artifacts only when the worker failed.
+export async function startRecording(page, sessionDir, settings, label) {
+  const options = resolveRecordingOptions(settings);
+  if (options.video === "off" && options.trace === "off") {
+    return null;
+  }
+
+  const recordingDir = path.join(sessionDir, "recordings", label);
+  await fs.mkdir(recordingDir, { recursive: true });
+  const captures = [];
+
+  if (options.video !== "off") {
+    let useWebm = options.videoFormat === "webm";
+    if (useWebm && !hasFfmpeg(options.ffmpegPath)) {
+      useWebm = false;
+    }
+    if (useWebm) {
+      const file = path.join(recordingDir, "video.webm");
+      const recorder = await page.screencast({ path: file, ffmpegPath: options.ffmpegPath });
+      captures.push({ kind: "video", mode: options.video, file, stop: () => recorder.stop() });
+    } else {
+      const dir = path.join(recordingDir, "frames");
+      const capture = await startFrameCapture(page, dir, options);
+      captures.push({ kind: "video", mode: options.video, file: dir, stop: () => capture.stop() });
+    }
+  }
+
+  if (options.trace !== "off") {
+    const file = path.join(recordingDir, "trace.json");
+    await page.tracing.start({ path: file, screenshots: true });
+    captures.push({ kind: "trace", mode: options.trace, file, stop: () => page.tracing.stop() });
+  }
+
+  return {
+    dir: recordingDir,
+    // Returns the kept artifacts as paths relative to the session folder.
+    async stop({ failed = false } = {}) {
+      const kept = [];
+      for (const capture of captures) {
+        await capture.stop().catch((err) => log.warn(`stopping ${capture.kind} capture failed: ${err.message}`));
+        if (capture.mode === "on-failure" && !failed) {
+          await fs.remove(capture.file);
+        } else if (await fs.pathExists(capture.file)) {
+          kept.push(path.relative(sessionDir, capture.file).split(path.sep).join("/"));
+        }
+      }
+      if (kept.length === 0) {
+        await fs.remove(recordingDir);
+      }
+      return kept;
+    }
+  };
+}
@@ -0,0 +1,339 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { redactDeep } from "./secrets.js";
+import { listSessions, resolveRunDir } from "./sessionManager.js";
+import { formatDuration } from "./statusView.js";
+import { describeDiagnostics } from "./diagnostics.js";
+
+const RESULTS_FILE = "results.json";
+// Screenshots are inlined so report.html can be mailed or archived on its own.
+const MAX_EMBED_BYTES = 2 * 1024 * 1024;
+const MAX_THUMBNAILS_PER_SESSION = 8;
+
+function escapeMarkup(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function durationBetween(startedAt, completedAt) {
+  if (!startedAt || !completedAt) return null;
+  return Date.parse(completedAt) - Date.parse(startedAt);
+}
+
+function workerName(result) {
+  return result.rowIndex === null || result.rowIndex === undefined
+    ? result.profileId
+    : `${result.profileId} row ${result.rowIndex}`;
+}
+
+// Persists what the controller knows about a finished run so `report <run-id>`
+// still works after later runs have overwritten tmp/controller-state.json.
+export async function saveRunResults(settings, runId, results) {
+  const filePath = path.join(resolveRunDir(settings, runId), RESULTS_FILE);
+  await fs.writeJson(filePath, redactDeep(results), { spaces: 2 });
+  return filePath;
+}
+
+export async function readRunResults(settings, runId) {
+  const filePath = path.join(resolveRunDir(settings, runId), RESULTS_FILE);
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`no results recorded for run ${runId} (expected ${filePath})`);
+  }
+  return fs.readJson(filePath);
+}
+
+async function collectScreenshots(runDir, profileId) {
+  const sessionDir = path.join(runDir, profileId);
+  const entries = await fs.readdir(sessionDir).catch(() => []);
+  const failureDirs = await fs.readdir(path.join(sessionDir, "failures")).catch(() => []);
+  const images = [
+    ...entries.filter((name) => /\.(png|jpe?g)$/i.test(name)).sort(),
+    ...failureDirs
+      .filter((name) => fs.existsSync(path.join(sessionDir, "failures", name, "screenshot.png")))
+      .map((name) => `failures/${name}/screenshot.png`)
+  ];
+  return Promise.all(
+    images.map(async (name) => {
+      const stat = await fs.stat(path.join(sessionDir, name));
+      return { file: `${profileId}/${name}`, size: stat.size };
+    })
+  );
+}
+
+export async function buildRunReport(settings, runId) {
+  const results = await readRunResults(settings, runId);
+  const runDir = resolveRunDir(settings, runId);
+  const sessions = await listSessions(settings, runId);
+  const screenshots = Object.fromEntries(
+    await Promise.all(sessions.map(async (profileId) => [profileId, await collectScreenshots(runDir, profileId)]))
+  );
+
+  const collectors = (results.collectors ?? []).map((result) => ({
+    profileId: result.profileId,
+    siteId: result.site?.id ?? null,
+    cycle: result.cycle ?? null,
+    status: result.status,
+    error: result.error ?? null,
+    durationMs: durationBetween(result.startedAt, result.completedAt),
+    diagnostics: result.diagnostics ?? null
+  }));
+  const actions = (results.actions ?? []).map((result) => ({
+    profileId: result.profileId,
+    siteId: result.site?.id ?? null,
+    cycle: result.cycle ?? null,
+    rowIndex: result.rowIndex ?? null,
+    status: result.status,
+    error: result.error ?? null,
+    startedAt: result.startedAt ?? null,
+    durationMs: durationBetween(result.startedAt, result.completedAt),
+    extractedCount: result.extractedCount ?? 0,
+    recordings: result.recordings ?? [],
+    diagnostics: result.diagnostics ?? null,
+    replay: result.replay ?? null,
+    steps: result.steps ?? []
+  }));
+
+  return {
+    runId,
+    status: results.status,
+    startedAt: results.startedAt ?? null,
+    completedAt: results.completedAt ?? null,
+    durationMs: durationBetween(results.startedAt, results.completedAt),
+    counts: results.counts ?? {},
+    diagnostics: results.diagnostics ?? null,
+    collectors,
+    actions,
+    screenshots,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+function renderStepTimeline(action) {
+  const { profileId } = action;
+  if (action.steps.length === 0) {
+    return `<p class="muted">no steps recorded</p>`;
+  }
+  const runStart = action.steps[0].startedAt ? Date.parse(action.steps[0].startedAt) : null;
+  const total = Math.max(
+    1,
+    ...action.steps.map((step) => (step.startedAt && runStart !== null ? Date.parse(step.startedAt) - runStart : 0) + (step.durationMs ?? 0))
+  );
+  const rows = action.steps.map((step) => {
+    const offset = step.startedAt && runStart !== null ? Date.parse(step.startedAt) - runStart : 0;
+    const left = (offset / total) * 100;
+    const width = Math.max(0.5, ((step.durationMs ?? 0) / total) * 100);
+    const depth = String(step.path ?? step.index).split(".").length - 1;
+    return `<tr class="${escapeMarkup(step.status)}">
+  <td style="padding-left:${0.5 + depth}em">${escapeMarkup(step.path ?? step.index)}</td>
+  <td>${escapeMarkup(step.type)}</td>
+  <td><span class="badge ${escapeMarkup(step.status)}">${escapeMarkup(step.status)}</span></td>
+  <td class="num">${step.durationMs ?? "-"} ms</td>
+  <td class="bar"><span style="left:${left.toFixed(2)}%;width:${width.toFixed(2)}%"></span></td>
+  <td>${step.screenshot ? `${escapeMarkup(step.screenshot)}<br>` : ""}${step.error ? `<code>${escapeMarkup(step.error)}</code>` : ""}${step.failure ? `<br><a href="${escapeMarkup(`${profileId}/${step.failure.dir}/`)}">${escapeMarkup(step.failure.dir)}</a> (${escapeMarkup(step.failure.url)})` : ""}</td>
+</tr>`;
+  });
+  return `<table class="steps">
+<thead><tr><th>Step</th><th>Type</th><th>Status</th><th>Duration</th><th>Timeline</th><th>Details</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>`;
+}
+
+function renderPageIssues(counts) {
+  const summary = describeDiagnostics(counts);
+  return summary ? `<span class="badge failed">${escapeMarkup(summary)}</span>` : `<span class="muted">none</span>`;
+}
+
+async function renderThumbnails(runDir, images) {
+  const shown = images.slice(0, MAX_THUMBNAILS_PER_SESSION);
+  const figures = await Promise.all(
+    shown.map(async (image) => {
+      const mime = image.file.toLowerCase().endsWith(".png") ? "image/png" : "image/jpeg";
+      const src = image.size <= MAX_EMBED_BYTES
+        ? `data:${mime};base64,${(await fs.readFile(path.join(runDir, image.file))).toString("base64")}`
+        : image.file;
+      return `<figure><a href="${escapeMarkup(image.file)}"><img src="${escapeMarkup(src)}" alt="${escapeMarkup(image.file)}"></a><figcaption>${escapeMarkup(image.file.split("/").slice(1).join("/"))}</figcaption></figure>`;
+    })
+  );
+  const hidden = images.length - shown.length;
+  return `<div class="thumbs">${figures.join("")}${hidden > 0 ? `<p class="muted">+${hidden} more in the session folder</p>` : ""}</div>`;
+}
+
+function renderReplay(replay) {
+  const line = `replay: <code>${escapeMarkup(replay.har)}</code> &middot; ${replay.matched} matched &middot; ${replay.unmatched} unmatched`;
+  if (replay.unmatchedRequests.length === 0) return `<p>${line}</p>`;
+  const items = replay.unmatchedRequests
+    .map((request) => `<li><code>${escapeMarkup(request.method)} ${escapeMarkup(request.url)}</code> (${escapeMarkup(request.resourceType)}, ${request.count}&times;)</li>`)
+    .join("");
+  return `<details><summary>${line}</summary><ul>${items}</ul></details>`;
+}
+
+export async function renderHtmlReport(report, runDir) {
+  const countLine = Object.entries(report.counts)
+    .map(([kind, counts]) => `${kind}: ${Object.entries(counts).map(([key, value]) => `${key}=${value}`).join(" ")}`)
+    .join(" &middot; ");
+
+  const collectorRows = report.collectors
+    .map((collector) => `<tr><td>${escapeMarkup(collector.profileId)}</td><td>${escapeMarkup(collector.siteId)}</td><td>${collector.cycle === null ? "-" : collector.cycle + 1}</td><td><span class="badge ${escapeMarkup(collector.status)}">${escapeMarkup(collector.status)}</span></td><td class="num">${formatDuration(collector.durationMs)}</td><td>${renderPageIssues(collector.diagnostics)}</td><td>${collector.error ? `<code>${escapeMarkup(collector.error)}</code>` : ""}</td></tr>`)
+    .join("\n");
+
+  const actionSections = report.actions
+    .map((action) => `<section class="worker">
+<h3>${escapeMarkup(workerName(action))} &middot; ${escapeMarkup(action.siteId)} <span class="badge ${escapeMarkup(action.status)}">${escapeMarkup(action.status)}</span></h3>
+<p class="muted">cycle ${action.cycle === null ? "-" : action.cycle + 1} &middot; ${formatDuration(action.durationMs)} &middot; ${action.extractedCount} extracted record(s)</p>
+${action.error ? `<p><code>${escapeMarkup(action.error)}</code></p>` : ""}
+${action.diagnostics ? `<p>page issues: ${renderPageIssues(action.diagnostics)}</p>` : ""}
+${action.recordings.length > 0 ? `<p>recordings: ${action.recordings.map((file) => `<a href="${escapeMarkup(`${action.profileId}/${file}`)}">${escapeMarkup(file)}</a>`).join(", ")}</p>` : ""}
+${action.replay ? renderReplay(action.replay) : ""}
+${renderStepTimeline(action)}
+</section>`)
+    .join("\n");
+
+  const sessionSections = (
+    await Promise.all(
+      Object.entries(report.screenshots)
+        .filter(([, images]) => images.length > 0)
+        .map(async ([profileId, images]) => `<section class="worker"><h3>${escapeMarkup(profileId)}</h3>${await renderThumbnails(runDir, images)}</section>`)
+    )
+  ).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeMarkup(report.runId)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.muted { color: #777; }
+table { border-collapse: collapse; width: 100%; margin: 0.5em 0 1em; font-size: 0.9em; }
+th, td { border-bottom: 1px solid #eee; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+td.num { text-align: right; white-space: nowrap; }
+td.bar { width: 30%; position: relative; }
+td.bar span { position: absolute; top: 35%; height: 30%; background: #4a90d9; min-width: 2px; }
+tr.failed td.bar span { background: #d9534f; }
+tr.skipped td.bar span { background: #bbb; }
+.badge { border-radius: 3px; padding: 0 0.4em; font-size: 0.85em; background: #ddd; }
+.badge.ok, .badge.passed { background: #cdeccd; }
+.badge.failed, .badge.error { background: #f5c6c4; }
+.badge.stopped, .badge.skipped { background: #eee; }
+.worker { border: 1px solid #ddd; border-radius: 4px; padding: 0 1em; margin-bottom: 1em; }
+.thumbs { display: flex; flex-wrap: wrap; gap: 0.8em; padding-bottom: 1em; }
+.thumbs figure { margin: 0; width: 220px; }
+.thumbs img { width: 220px; max-height: 160px; object-fit: cover; object-position: top; border: 1px solid #ccc; }
+.thumbs figcaption { font-size: 0.8em; color: #555; }
+code { white-space: pre-wrap; color: #a33; }
+</style>
+</head>
+<body>
+<h1>Run ${escapeMarkup(report.runId)} <span class="badge ${escapeMarkup(report.status)}">${escapeMarkup(report.status)}</span></h1>
+<p class="muted">${escapeMarkup(report.startedAt ?? "-")} &rarr; ${escapeMarkup(report.completedAt ?? "-")} (${formatDuration(report.durationMs)}) &middot; ${countLine}</p>
+<h2>Collectors</h2>
+${report.collectors.length > 0 ? `<table><thead><tr><th>Profile</th><th>Site</th><th>Cycle</th><th>Status</th><th>Duration</th><th>Page issues</th><th>Error</th></tr></thead><tbody>
+${collectorRows}
+</tbody></table>` : `<p class="muted">no collectors ran</p>`}
+<h2>Action workflows</h2>
+${actionSections || `<p class="muted">no action workflows ran</p>`}
+<h2>Screenshots</h2>
+${sessionSections || `<p class="muted">no screenshots saved</p>`}
+<p class="muted">generated ${escapeMarkup(report.generatedAt)}</p>
+</body>
+</html>
+`;
+}
+
+function junitTime(ms) {
+  return ((ms ?? 0) / 1000).toFixed(3);
+}
+
+function renderTestSuite(name, cases, timestamp) {
+  const failures = cases.filter((entry) => entry.failure).length;
+  const errors = cases.filter((entry) => entry.error).length;
+  const skipped = cases.filter((entry) => entry.skipped).length;
+  const time = cases.reduce((sum, entry) => sum + (entry.durationMs ?? 0), 0);
+  const body = cases
+    .map((entry) => {
+      const children = [];
+      if (entry.failure) {
+        children.push(`<failure message="${escapeMarkup(entry.failure.message)}" type="StepFailure">${escapeMarkup(entry.failure.detail)}</failure>`);
+      }
+      if (entry.error) {
+        children.push(`<error message="${escapeMarkup(entry.error)}" type="WorkerError">${escapeMarkup(entry.error)}</error>`);
+      }
+      if (entry.skipped) {
+        children.push(`<skipped message="${escapeMarkup(entry.skipped)}"/>`);
+      }
+      if (entry.output) {
+        children.push(`<system-out>${escapeMarkup(entry.output)}</system-out>`);
+      }
+      const open = `    <testcase classname="${escapeMarkup(entry.classname)}" name="${escapeMarkup(entry.name)}" time="${junitTime(entry.durationMs)}"`;
+      return children.length > 0
+        ? `${open}>\n${children.map((child) => `      ${child}`).join("\n")}\n    </testcase>`
+        : `${open}/>`;
+    })
+    .join("\n");
+  return `  <testsuite name="${escapeMarkup(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${junitTime(time)}" timestamp="${escapeMarkup(timestamp ?? "")}">
+${body}
+  </testsuite>`;
+}
+
+// Collectors and action workflows become one test case each; a failed step
+// is a <failure>, a crashed worker an <error> and a stopped run <skipped>.
+export function renderJunitReport(report) {
+  const collectorCases = report.collectors.map((collector) => ({
+    classname: `collector.${collector.siteId}`,
+    name: collector.profileId,
+    durationMs: collector.durationMs,
+    error: collector.status === "error" ? collector.error ?? "collector failed" : null
+  }));
+  const actionCases = report.actions.map((action) => {
+    const failedSteps = action.steps.filter((step) => step.status === "failed");
+    return {
+      classname: `action.${action.siteId}`,
+      name: workerName(action),
+      durationMs: action.durationMs ?? action.steps.reduce((sum, step) => sum + (step.durationMs ?? 0), 0),
+      failure: failedSteps.length > 0
+        ? {
+            message: `step ${failedSteps[0].path} (${failedSteps[0].type}) failed: ${failedSteps[0].error ?? ""}`,
+            detail: failedSteps
+              .map((step) => `step ${step.path} (${step.type}): ${step.error ?? "failed"}${step.failure ? `\n  url: ${step.failure.url}\n  artifacts: ${action.profileId}/${step.failure.dir}` : ""}`)
+              .join("\n")
+          }
+        : null,
+      error: action.status === "error" ? action.error ?? "action worker failed" : null,
+      skipped: action.status === "stopped" ? "run stopped before the workflow finished" : null,
+      output: action.steps.map((step) => `${step.path} ${step.type} ${step.status} ${step.durationMs ?? "-"}ms`).join("\n")
+    };
+  });
+
+  const suites = [
+    renderTestSuite("collectors", collectorCases, report.startedAt),
+    renderTestSuite("actions", actionCases, report.startedAt)
+  ];
+  const all = [...collectorCases, ...actionCases];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="run ${escapeMarkup(report.runId)}" tests="${all.length}" failures="${all.filter((entry) => entry.failure).length}" errors="${all.filter((entry) => entry.error).length}" skipped="${all.filter((entry) => entry.skipped).length}" time="${junitTime(report.durationMs)}">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+// Writes report.json, report.html and junit.xml into sessions/<run-id>/.
+export async function writeRunReport(settings, runId) {
+  const runDir = resolveRunDir(settings, runId);
+  const report = await buildRunReport(settings, runId);
+  const files = {
+    json: path.join(runDir, "report.json"),
+    html: path.join(runDir, "report.html"),
+    junit: path.join(runDir, "junit.xml")
+  };
+  await fs.writeJson(files.json, report, { spaces: 2 });
+  await fs.writeFile(files.html, await renderHtmlReport(report, runDir), "utf-8");
+  await fs.writeFile(files.junit, renderJunitReport(report), "utf-8");
+  return { report, files };
+}
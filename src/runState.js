@@ -0,0 +1,76 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { fileURLToPath } from "node:url";
+import { redactDeep } from "./secrets.js";
+import { isProcessAlive, killProcess } from "./supervisor.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const stateDir = path.join(rootDir, "tmp");
+const stateFile = path.join(stateDir, "controller-state.json");
+
+export const stopRequestFile = path.join(stateDir, "stop-request.json");
+
+let stateWrites = Promise.resolve();
+
+// Writes are queued and renamed into place so `status` never reads a half-written file.
+export function saveState(state) {
+  const snapshot = redactDeep(state);
+  stateWrites = stateWrites
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(stateDir, { recursive: true });
+      const tmpFile = `${stateFile}.${process.pid}.tmp`;
+      await fs.writeJson(tmpFile, snapshot, { spaces: 2 });
+      await fs.rename(tmpFile, stateFile);
+    });
+  return stateWrites;
+}
+
+export async function readState() {
+  try {
+    return await fs.readJson(stateFile);
+  } catch {
+    return { status: "idle", updatedAt: new Date().toISOString() };
+  }
+}
+
+export function isRunActive(state) {
+  return ["starting", "running"].includes(state.status) && isProcessAlive(state.pid);
+}
+
+// Asks the running controller to stop, or with `force` kills it and every
+// recorded browser. Browser pids are only killed while the controller that
+// recorded them is alive: after a crash they are stale and may belong to
+// another process by now, so the state is just cleared. Returns a summary of
+// what was done.
+export async function requestRunStop({ force = false } = {}) {
+  const state = await readState();
+  const running = isRunActive(state);
+
+  if (force) {
+    const killedBrowsers = running
+      ? Object.entries(state.browsers ?? {})
+          .filter(([, pid]) => killProcess(pid))
+          .map(([key, pid]) => ({ key, pid }))
+      : [];
+    const staleBrowsers = running ? [] : Object.entries(state.browsers ?? {}).map(([key, pid]) => ({ key, pid }));
+    const killedController = running && killProcess(state.pid);
+    await fs.remove(stopRequestFile);
+    await saveState({ ...state, status: "stopped", browsers: {}, stoppedAt: new Date().toISOString(), forced: true });
+    return { action: "killed", runId: state.runId, killedBrowsers, staleBrowsers, killedController };
+  }
+
+  if (!running) {
+    await saveState({ ...state, status: "stopped", stoppedAt: new Date().toISOString() });
+    return { action: "none", runId: state.runId };
+  }
+
+  await fs.mkdir(stateDir, { recursive: true });
+  await fs.writeJson(stopRequestFile, { requestedAt: new Date().toISOString(), pid: process.pid });
+  // Windows cannot deliver SIGTERM to a handler; the controller polls the request file instead.
+  if (process.platform !== "win32") {
+    killProcess(state.pid, "SIGTERM");
+  }
+  return { action: "requested", runId: state.runId, pid: state.pid };
+}
@@ -0,0 +1,164 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+export const SECRETS_KEY_ENV = "PUPETER_SECRETS_KEY";
+const ENV_PREFIX = "PUPETER_SECRET_";
+export const REDACTED = "***";
+
+// Every value handed out by resolveSecret, so logs and saved state can be scrubbed.
+const knownSecrets = new Set();
+// The same values as they appear in URLs and form posts, longest first so a
+// form never leaves part of a longer one behind.
+let secretForms = [];
+let cachedFile = null;
+
+export function resolveSecretsFile(settings) {
+  return path.resolve(rootDir, settings.secretsFile ?? "./config/secrets.enc.json");
+}
+
+// `itscoupons.password` -> `PUPETER_SECRET_ITSCOUPONS_PASSWORD`
+export function secretEnvName(name) {
+  return `${ENV_PREFIX}${name.replace(/[^a-zA-Z0-9]+/g, "_").toUpperCase()}`;
+}
+
+function deriveKey(passphrase, salt) {
+  return scryptSync(passphrase, salt, 32);
+}
+
+function requireKey() {
+  const passphrase = process.env[SECRETS_KEY_ENV];
+  if (!passphrase) {
+    throw new Error(`${SECRETS_KEY_ENV} is not set; it is required to read or write the encrypted secrets file`);
+  }
+  return passphrase;
+}
+
+// AES-256-GCM under a scrypt key derived from the passphrase. Shared by the
+// secrets file and encrypted session files (see sessionManager.js).
+export function encryptJson(value, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf-8"), cipher.final()]);
+  return {
+    version: 1,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64")
+  };
+}
+
+// Throws on a wrong passphrase or a tampered payload.
+export function decryptJson(payload, passphrase) {
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, Buffer.from(payload.salt, "base64")),
+    Buffer.from(payload.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(payload.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf-8"));
+}
+
+export function encryptSecrets(secrets, passphrase) {
+  return encryptJson(secrets, passphrase);
+}
+
+export function decryptSecrets(payload, passphrase) {
+  try {
+    return decryptJson(payload, passphrase);
+  } catch {
+    throw new Error(`Cannot decrypt secrets file: wrong ${SECRETS_KEY_ENV} or corrupted file`);
+  }
+}
+
+export async function readSecretsFile(settings) {
+  const filePath = resolveSecretsFile(settings);
+  if (cachedFile?.filePath === filePath) {
+    return cachedFile.secrets;
+  }
+  const exists = await fs.pathExists(filePath);
+  const secrets = exists ? decryptSecrets(await fs.readJson(filePath), requireKey()) : {};
+  cachedFile = { filePath, secrets };
+  return secrets;
+}
+
+export async function writeSecretsFile(settings, secrets) {
+  const filePath = resolveSecretsFile(settings);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeJson(filePath, encryptSecrets(secrets, requireKey()), { spaces: 2 });
+  cachedFile = { filePath, secrets };
+}
+
+export function isSecretRef(value) {
+  return Boolean(value) && typeof value === "object" && typeof value.secret === "string";
+}
+
+// Percent-encoded (URLs, fetch bodies) and form-encoded with "+" for spaces
+// (what a login form posts as application/x-www-form-urlencoded).
+function encodedForms(value) {
+  const percent = encodeURIComponent(value);
+  const form = new URLSearchParams([["", value]]).toString().slice(1);
+  return [value, percent, percent.replace(/%20/g, "+"), form, form.replace(/\+/g, "%20")];
+}
+
+export async function resolveSecret(name, settings) {
+  let value = process.env[secretEnvName(name)];
+  if (value === undefined) {
+    const secrets = await readSecretsFile(settings);
+    value = secrets[name];
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Secret "${name}" not found (set ${secretEnvName(name)} or add it to the secrets file)`);
+  }
+  if (value.length > 0 && !knownSecrets.has(value)) {
+    knownSecrets.add(value);
+    secretForms = [...new Set([...secretForms, ...encodedForms(value)])].sort((a, b) => b.length - a.length);
+  }
+  return value;
+}
+
+export async function resolveValue(value, settings) {
+  return isSecretRef(value) ? resolveSecret(value.secret, settings) : value;
+}
+
+export function redact(value) {
+  if (typeof value === "string") {
+    let output = value;
+    for (const secret of secretForms) {
+      output = output.split(secret).join(REDACTED);
+    }
+    return output;
+  }
+  if (value instanceof Error) {
+    const copy = new Error(redact(value.message));
+    copy.stack = redact(value.stack ?? "");
+    return copy;
+  }
+  return value;
+}
+
+// Deep variant for JSON-like data (state files, step results). Class instances are left alone.
+export function redactDeep(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactDeep);
+  }
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactDeep(entry)]));
+  }
+  return redact(value);
+}
+
+// Scrubs resolved secrets from everything written through console.* in this process.
+export function installConsoleRedaction() {
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(redact));
+  }
+}
@@ -0,0 +1,322 @@
+import http from "node:http";
+import path from "node:path";
+import fs from "fs-extra";
+import { spawn } from "node:child_process";
+import { pipeline } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { loadConfigs } from "./config.js";
+import { validateConfigs } from "./configSchema.js";
+import { isRunActive, readState, requestRunStop } from "./runState.js";
+import { createLogger } from "./logger.js";
+import {
+  SESSION_LIBRARY_DIR,
+  generateRunId,
+  listSessions,
+  resolveRunDir,
+  resolveSessionDir,
+  resolveSessionsBaseDir,
+  validateRunId
+} from "./sessionManager.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const controllerPath = path.join(__dirname, "controller.js");
+const projectDir = path.join(__dirname, "..");
+
+const log = createLogger("server");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SAFE_SEGMENT = /^[\w.-]+$/;
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".ndjson": "application/x-ndjson",
+  ".har": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".webm": "video/webm",
+  ".html": "text/html; charset=utf-8",
+  ".xml": "application/xml",
+  ".log": "text/plain; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8"
+};
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "request body too large");
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+  } catch {
+    throw new HttpError(400, "request body must be JSON");
+  }
+}
+
+function safeSegment(value, label) {
+  if (!SAFE_SEGMENT.test(value) || value === "." || value === "..") {
+    throw new HttpError(400, `invalid ${label}`);
+  }
+  return value;
+}
+
+function runIdSegment(value) {
+  try {
+    return validateRunId(value);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+}
+
+// Scripts and curl send no Origin. Browsers do on cross-site requests, and a
+// DNS-rebound name matches its own Host header, so only this machine's names
+// count as the server's origin.
+function isOwnOrigin(req) {
+  const { origin } = req.headers;
+  if (origin === undefined) return true;
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== "http:" || parsed.host !== req.headers.host) return false;
+  const localAddress = req.socket.localAddress.replace(/^::ffff:/, "");
+  return LOOPBACK_HOSTS.has(parsed.hostname) || [localAddress, `[${localAddress}]`].includes(parsed.hostname);
+}
+
+// A web page the operator has open can POST text/plain or form bodies to
+// localhost without asking; application/json needs a CORS preflight, which
+// this server never grants.
+function checkRequestSource(req) {
+  if (!isOwnOrigin(req)) {
+    throw new HttpError(403, "cross-origin requests are not allowed");
+  }
+  const contentType = (req.headers["content-type"] ?? "").split(";")[0].trim().toLowerCase();
+  if (req.method !== "GET" && contentType !== "application/json") {
+    throw new HttpError(415, "Content-Type must be application/json");
+  }
+}
+
+// Resolves a file below `baseDir`, refusing anything that escapes it.
+function resolveInside(baseDir, relativePath) {
+  const resolved = path.resolve(baseDir, relativePath);
+  if (!resolved.startsWith(`${path.resolve(baseDir)}${path.sep}`)) {
+    throw new HttpError(400, "invalid file path");
+  }
+  return resolved;
+}
+
+// Files named in a run request (data rows, HAR archives) are taken relative to
+// the project folder and must resolve (symlinks followed) inside it, so API
+// callers cannot make the bot read arbitrary files.
+async function resolveProjectFile(value, label) {
+  if (typeof value !== "string" || value.length === 0) throw new HttpError(400, `${label} must be a file path`);
+  const realFile = await fs.realpath(path.resolve(projectDir, value)).catch(() => null);
+  if (!realFile) throw new HttpError(400, `${label} file not found: ${value}`);
+  if (!realFile.startsWith(`${await fs.realpath(projectDir)}${path.sep}`)) {
+    throw new HttpError(400, `${label} must be a file inside the project folder`);
+  }
+  return realFile;
+}
+
+async function listFiles(dir, prefix = "") {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => null);
+  if (!entries) return null;
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...((await listFiles(path.join(dir, entry.name), relative)) ?? []));
+    } else {
+      const stat = await fs.stat(path.join(dir, entry.name));
+      files.push({ name: relative, size: stat.size, modifiedAt: stat.mtime.toISOString() });
+    }
+  }
+  return files;
+}
+
+// The file is opened before the headers go out, so one removed or unreadable
+// since the stat still gets a 404; a read error mid-transfer cuts the response.
+async function sendFile(res, filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat || !stat.isFile()) throw new HttpError(404, "file not found");
+  const stream = fs.createReadStream(filePath);
+  await new Promise((resolve, reject) => {
+    stream.once("open", resolve);
+    stream.once("error", reject);
+  }).catch(() => {
+    throw new HttpError(404, "file not found");
+  });
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[path.extname(filePath).toLowerCase()] ?? "application/octet-stream",
+    "Content-Length": stat.size
+  });
+  pipeline(stream, res, (err) => {
+    if (err) log.debug(`sending ${filePath} stopped: ${err.message}`);
+  });
+}
+
+// Maps the JSON body of POST /api/runs onto `controller.js start` options.
+async function buildStartArgs(body, runId) {
+  const args = [controllerPath, "start", `--run-id=${runId}`];
+  const numeric = { collectors: "collectors", visible: "visible", collectorCycles: "collector-cycles", actionCycles: "action-cycles" };
+  Object.entries(numeric).forEach(([key, option]) => {
+    if (body[key] === undefined) return;
+    const value = Number(body[key]);
+    if (!Number.isInteger(value) || value < 0) throw new HttpError(400, `${key} must be a non-negative integer`);
+    args.push(`--${option}=${value}`);
+  });
+  if (body.runOnce !== undefined) args.push(`--run-once=${Boolean(body.runOnce)}`);
+  if (body.headlessActions) args.push("--headless-actions");
+  if (body.report === false) args.push("--no-report");
+  if (body.data !== undefined) {
+    args.push(`--data=${await resolveProjectFile(body.data, "data")}`);
+  }
+  if (body.replayHar !== undefined) {
+    args.push(`--replay-har=${await resolveProjectFile(body.replayHar, "replayHar")}`);
+  }
+  if (body.session !== undefined) {
+    const sessions = Array.isArray(body.session) ? body.session : [body.session];
+    const isReference = (session) => typeof session === "string" && session.split("/").length === 2 && session.split("/").every((part) => SAFE_SEGMENT.test(part) && !/^\.+$/.test(part));
+    if (!sessions.every(isReference)) {
+      throw new HttpError(400, "session must be a session reference (<run-id>/<profileId> or library/<name>) or a list of them");
+    }
+    sessions.forEach((session) => args.push(`--session=${session}`));
+  }
+  if (body.vars !== undefined) {
+    if (!body.vars || typeof body.vars !== "object" || Array.isArray(body.vars)) {
+      throw new HttpError(400, "vars must be an object");
+    }
+    Object.entries(body.vars).forEach(([key, value]) => args.push(`--var=${key}=${value}`));
+  }
+  return args;
+}
+
+export function createControlServer({ token = null } = {}) {
+  let child = null;
+
+  async function startRun(body) {
+    if (child || isRunActive(await readState())) {
+      throw new HttpError(409, "a run is already active");
+    }
+    const configs = await loadConfigs();
+    const errors = validateConfigs(configs).filter((problem) => problem.level === "error");
+    if (errors.length > 0) {
+      throw new HttpError(422, "config validation failed", errors);
+    }
+
+    const runId = body.runId === undefined ? generateRunId() : runIdSegment(String(body.runId));
+    const args = await buildStartArgs(body, runId);
+    child = spawn(process.execPath, args, { stdio: ["ignore", "inherit", "inherit"] });
+    const pid = child.pid;
+    child.on("exit", (code) => {
+      log.info(`run ${runId} exited with code ${code}`, { runId });
+      child = null;
+    });
+    log.info(`started run ${runId} (pid ${pid})`, { runId });
+    return { runId, pid };
+  }
+
+  async function listRuns(settings) {
+    const baseDir = resolveSessionsBaseDir(settings);
+    const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+    const runs = await Promise.all(
+      entries
+        .filter((entry) => entry.isDirectory() && entry.name !== SESSION_LIBRARY_DIR)
+        .map(async (entry) => {
+          const stat = await fs.stat(path.join(baseDir, entry.name));
+          const sessions = await listSessions(settings, entry.name);
+          return { runId: entry.name, modifiedAt: stat.mtime.toISOString(), sessions: sessions.length };
+        })
+    );
+    return runs.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    const method = req.method;
+
+    checkRequestSource(req);
+    if (segments[0] !== "api") throw new HttpError(404, "not found");
+    const [, resource, ...rest] = segments;
+
+    if (resource === "status" && method === "GET") {
+      return sendJson(res, 200, await readState());
+    }
+    if (resource === "stop" && method === "POST") {
+      const body = await readBody(req);
+      return sendJson(res, 202, await requestRunStop({ force: Boolean(body.force) }));
+    }
+    if (resource !== "runs") throw new HttpError(404, "not found");
+
+    if (rest.length === 0 && method === "POST") {
+      return sendJson(res, 202, await startRun(await readBody(req)));
+    }
+    if (method !== "GET") throw new HttpError(405, "method not allowed");
+
+    const { settings } = await loadConfigs();
+    if (rest.length === 0) {
+      return sendJson(res, 200, await listRuns(settings));
+    }
+
+    const runId = runIdSegment(rest[0]);
+    const runDir = resolveRunDir(settings, runId);
+    if (!(await fs.pathExists(runDir))) throw new HttpError(404, `run ${runId} not found`);
+
+    if (rest.length === 1) {
+      const sessions = await listSessions(settings, runId);
+      const files = ((await listFiles(runDir)) ?? []).filter((file) => !file.name.includes("/"));
+      return sendJson(res, 200, { runId, sessions, files });
+    }
+    if (rest[1] === "files" && rest.length > 2) {
+      return sendFile(res, resolveInside(runDir, rest.slice(2).join("/")));
+    }
+    if (rest[1] !== "sessions" || rest.length < 3) throw new HttpError(404, "not found");
+
+    const profileId = safeSegment(rest[2], "profileId");
+    const sessionDir = resolveSessionDir(settings, runId, profileId);
+    if (rest.length === 3) {
+      const files = await listFiles(sessionDir);
+      if (!files) throw new HttpError(404, `session ${runId}/${profileId} not found`);
+      const meta = await fs.readJson(path.join(sessionDir, "meta.json")).catch(() => null);
+      return sendJson(res, 200, { runId, profileId, meta, files });
+    }
+    if (rest[3] === "files" && rest.length > 4) {
+      return sendFile(res, resolveInside(sessionDir, rest.slice(4).join("/")));
+    }
+    throw new HttpError(404, "not found");
+  }
+
+  return http.createServer((req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      sendJson(res, 401, { error: "unauthorized" });
+      return;
+    }
+    route(req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) {
+        log.error("request failed", err);
+      }
+      sendJson(res, status, { error: err.message, ...(err.details ? { details: err.details } : {}) });
+    });
+  });
+}
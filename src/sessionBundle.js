@@ -0,0 +1,118 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { gunzipSync, gzipSync } from "node:zlib";
+import {
+  ENCRYPTED_SESSION_FILES,
+  SESSION_LIBRARY_DIR,
+  encryptedFileName,
+  resolveSessionsBaseDir,
+  writeSessionFile
+} from "./sessionManager.js";
+
+const BUNDLE_FORMAT = "pupeter-session";
+const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = ".session.json.gz";
+const SEGMENT_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// What a session is made of: cookies and storage (plain or encrypted), meta.json
+// and the screenshots beside them. HARs, logs, failures and recordings stay behind.
+function isSessionFile(name) {
+  return (
+    name === "meta.json" ||
+    ENCRYPTED_SESSION_FILES.some((file) => name === file || name === encryptedFileName(file)) ||
+    /\.(png|jpe?g)$/i.test(name)
+  );
+}
+
+// `<run-id>/<profileId>` or `library/<name>` -> the session folder under sessionsDir.
+export function resolveSessionReference(settings, reference) {
+  const parts = String(reference).split("/");
+  if (parts.length !== 2 || !parts.every((part) => SEGMENT_PATTERN.test(part))) {
+    throw new Error(`invalid session reference "${reference}" (expected <run-id>/<profileId> or ${SESSION_LIBRARY_DIR}/<name>)`);
+  }
+  return path.join(resolveSessionsBaseDir(settings), ...parts);
+}
+
+async function listSessionFiles(sessionDir, reference) {
+  const entries = await fs.readdir(sessionDir, { withFileTypes: true }).catch(() => null);
+  if (!entries) {
+    throw new Error(`no saved session at ${reference} (${sessionDir})`);
+  }
+  const files = entries.filter((entry) => entry.isFile() && isSessionFile(entry.name)).map((entry) => entry.name).sort();
+  if (!files.includes("meta.json")) {
+    throw new Error(`${reference} is not a saved session (no meta.json in ${sessionDir})`);
+  }
+  return files;
+}
+
+// Copies a stored session into another folder (a run's profile folder for --session).
+export async function copySession(settings, reference, targetDir) {
+  const sourceDir = resolveSessionReference(settings, reference);
+  const files = await listSessionFiles(sourceDir, reference);
+  await fs.mkdir(targetDir, { recursive: true });
+  await Promise.all(files.map((name) => fs.copy(path.join(sourceDir, name), path.join(targetDir, name))));
+  return files;
+}
+
+// Writes one gzipped JSON archive holding the session's files byte for byte;
+// encrypted files stay encrypted.
+export async function exportSession(settings, reference, outFile) {
+  const sessionDir = resolveSessionReference(settings, reference);
+  const names = await listSessionFiles(sessionDir, reference);
+  const files = {};
+  for (const name of names) {
+    files[name] = (await fs.readFile(path.join(sessionDir, name))).toString("base64");
+  }
+  const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, source: reference, exportedAt: new Date().toISOString(), files };
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeFile(outFile, gzipSync(JSON.stringify(bundle)));
+  return names;
+}
+
+export async function readSessionBundle(filePath) {
+  let bundle;
+  try {
+    bundle = JSON.parse(gunzipSync(await fs.readFile(filePath)).toString("utf-8"));
+  } catch (err) {
+    throw new Error(`${filePath} is not a session bundle: ${err.message}`);
+  }
+  if (bundle?.format !== BUNDLE_FORMAT || !bundle.files || typeof bundle.files !== "object") {
+    throw new Error(`${filePath} is not a session bundle`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`${filePath} is a version ${bundle.version} bundle; this version reads up to ${BUNDLE_VERSION}`);
+  }
+  const unexpected = Object.keys(bundle.files).find((name) => path.basename(name) !== name || !isSessionFile(name));
+  if (unexpected) {
+    throw new Error(`${filePath} contains an unexpected file "${unexpected}"`);
+  }
+  if (!bundle.files["meta.json"]) {
+    throw new Error(`${filePath} has no meta.json`);
+  }
+  return bundle;
+}
+
+// Unpacks a bundle as `<run-id>/<profileId>` or `library/<name>`. A bare run id
+// keeps the profile id the session was exported from. Plain cookies and
+// storage are encrypted on the way in when sessionEncryption is enabled.
+export async function importSession(settings, bundleFile, target, { force = false } = {}) {
+  const bundle = await readSessionBundle(bundleFile);
+  const reference = target.includes("/") ? target : `${target}/${String(bundle.source).split("/").pop()}`;
+  const sessionDir = resolveSessionReference(settings, reference);
+  if (await fs.pathExists(sessionDir)) {
+    if (!force) {
+      throw new Error(`${reference} already exists (${sessionDir}); pass --force to replace it`);
+    }
+    await fs.remove(sessionDir);
+  }
+  await fs.mkdir(sessionDir, { recursive: true });
+  for (const [name, content] of Object.entries(bundle.files)) {
+    const data = Buffer.from(content, "base64");
+    if (ENCRYPTED_SESSION_FILES.includes(name) && settings.sessionEncryption?.enabled) {
+      await writeSessionFile(sessionDir, name, JSON.parse(data.toString("utf-8")), settings);
+    } else {
+      await fs.writeFile(path.join(sessionDir, name), data);
+    }
+  }
+  return { reference, sessionDir, source: bundle.source, files: Object.keys(bundle.files) };
+}
@@ -0,0 +1,120 @@
+import puppeteer from "puppeteer";
+import { applyFingerprint, buildFingerprint } from "./fingerprint.js";
+import { createLogger } from "./logger.js";
+import { installRequestRouting } from "./network.js";
+import { restoreOriginState } from "./originState.js";
+import { applySavedStorage, restoreSession, updateSessionMeta } from "./sessionManager.js";
+
+// Without these the session cannot be restored at all (sessionStorage is optional).
+const REQUIRED_FILES = ["cookies.json", "localStorage.json", "meta.json"];
+const DEFAULT_SELECTOR_TIMEOUT_MS = 10000;
+
+function checkCookie(session, check, now) {
+  const cookie = session.cookies.find((entry) => entry.name === check.cookie);
+  if (!cookie) {
+    return { status: "broken", reason: `cookie "${check.cookie}" is missing` };
+  }
+  // Session cookies (expires -1) live as long as the browser, so only dated cookies expire.
+  if (!(cookie.expires > 0)) {
+    return { status: "valid", reason: `cookie "${check.cookie}" present (no expiry)` };
+  }
+  const expiresAt = new Date(cookie.expires * 1000);
+  const remainingMinutes = (expiresAt.getTime() - now) / 60000;
+  if (remainingMinutes <= 0) {
+    return { status: "expired", reason: `cookie "${check.cookie}" expired at ${expiresAt.toISOString()}` };
+  }
+  const minValidMinutes = check.minValidMinutes ?? 0;
+  if (remainingMinutes < minValidMinutes) {
+    return {
+      status: "expired",
+      reason: `cookie "${check.cookie}" expires in ${Math.floor(remainingMinutes)} min (minValidMinutes ${minValidMinutes})`
+    };
+  }
+  return { status: "valid", reason: `cookie "${check.cookie}" valid until ${expiresAt.toISOString()}` };
+}
+
+// Loads the check URL headless with the saved cookies and storage applied and
+// waits for the selector that only a logged-in page shows.
+async function checkPage({ site, settings, session, check, workerKey, control, logContext }) {
+  const url = new URL(check.url ?? site.startUrl, site.startUrl).href;
+  const fingerprint = buildFingerprint(settings, session.meta?.fingerprint ?? null);
+  const timeout = settings.actionTimeoutSec * 1000;
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      ignoreHTTPSErrors: true,
+      defaultViewport: fingerprint.viewport,
+      args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-blink-features=AutomationControlled", "--disable-gpu"],
+      handleSIGINT: false,
+      handleSIGTERM: false,
+      handleSIGHUP: false
+    });
+    control?.registerBrowser(workerKey, browser);
+    const [page] = await browser.pages();
+    await installRequestRouting(page, { site, settings, resourcePolicy: true, logContext });
+    await applyFingerprint(page, fingerprint);
+
+    try {
+      const failures = await restoreOriginState(page, session.origins, settings, { timeoutMs: timeout });
+      if (failures.length > 0) {
+        return { status: "broken", reason: failures.map(({ origin, error }) => `storage of ${origin} not restored: ${error}`).join(", ") };
+      }
+      await page.goto(url, { waitUntil: "domcontentloaded", timeout });
+      await applySavedStorage(page, session, url);
+      await page.reload({ waitUntil: "networkidle2", timeout });
+    } catch (err) {
+      return { status: "broken", reason: `could not load ${url}: ${err.message}` };
+    }
+
+    const found = await page
+      .waitForSelector(check.selector, { timeout: check.timeoutMs ?? DEFAULT_SELECTOR_TIMEOUT_MS })
+      .then(() => true)
+      .catch(() => false);
+    return found
+      ? { status: "valid", reason: `${check.selector} found on ${page.url()}` }
+      : { status: "expired", reason: `${check.selector} not found on ${page.url()}` };
+  } finally {
+    if (browser) {
+      await browser.close().catch(() => {});
+      control?.unregisterBrowser(workerKey);
+    }
+  }
+}
+
+// Runs the site's sessionCheck against a saved session and records the
+// outcome as `sessionCheck` in its meta.json: valid, expired (the site no
+// longer accepts the login) or broken (files missing or unreadable, the
+// required cookie absent, or the check page failing to load).
+export async function checkSession({ site, settings, sessionDir, profileId, runId, control = null, now = Date.now() }) {
+  const check = site.sessionCheck;
+  const log = createLogger("sessionCheck", { runId, profileId, site: site.id });
+  const workerKey = `check:${profileId}`;
+  control?.updateWorker(workerKey, { kind: "check", profileId, siteId: site.id, phase: "checking" });
+
+  let outcome;
+  try {
+    const session = await restoreSession(sessionDir, settings);
+    const unusable = session.problems.filter((problem) => REQUIRED_FILES.includes(problem.file));
+    if (unusable.length > 0) {
+      outcome = { status: "broken", reason: unusable.map(({ file, error }) => `${file} ${error}`).join(", ") };
+    } else if (check.cookie) {
+      outcome = checkCookie(session, check, now);
+    } else {
+      outcome = await checkPage({ site, settings, session, check, workerKey, control, logContext: { runId, profileId, site: site.id } });
+    }
+  } catch (err) {
+    outcome = { status: "broken", reason: `check failed: ${err.message}` };
+  } finally {
+    control?.removeWorker(workerKey);
+  }
+
+  const result = { ...outcome, checkedAt: new Date().toISOString() };
+  await updateSessionMeta(sessionDir, { sessionCheck: result });
+  if (result.status === "valid") {
+    log.info(`session valid: ${result.reason}`);
+  } else {
+    log.warn(`session ${result.status}: ${result.reason}`);
+  }
+  return result;
+}
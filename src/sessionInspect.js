@@ -0,0 +1,186 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { SESSION_SAVES_DIR, restoreSession } from "./sessionManager.js";
+import { formatDuration, renderTable } from "./statusView.js";
+
+export const SESSION_FILTER_STATUSES = ["valid", "expired", "broken", "unchecked"];
+
+const AGE_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const MAX_VALUE_LENGTH = 60;
+
+// "30m", "12h", "7d", "2w" -> milliseconds.
+export function parseAge(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`invalid age "${value}" (use e.g. 30m, 12h, 7d or 2w)`);
+  }
+  return Number(match[1]) * AGE_UNITS[match[2]];
+}
+
+// Filters from the sessions commands; every given filter must match.
+export function filterSessions(sessions, { site, status, run, olderThan, newerThan } = {}, now = Date.now()) {
+  const olderThanMs = olderThan === undefined ? null : parseAge(olderThan);
+  const newerThanMs = newerThan === undefined ? null : parseAge(newerThan);
+  if (status !== undefined && !SESSION_FILTER_STATUSES.includes(status)) {
+    throw new Error(`unknown status "${status}" (one of ${SESSION_FILTER_STATUSES.join(", ")})`);
+  }
+  return sessions.filter((session) => {
+    const age = now - Date.parse(session.savedAt);
+    return (
+      (site === undefined || session.siteId === site) &&
+      (status === undefined || session.status === status) &&
+      (run === undefined || session.runId === run) &&
+      (olderThanMs === null || age > olderThanMs) &&
+      (newerThanMs === null || age <= newerThanMs)
+    );
+  });
+}
+
+export function formatSessionTable(sessions, now = Date.now()) {
+  const rows = sessions.map((session) => [
+    session.reference,
+    session.siteId ?? "-",
+    session.status,
+    session.savedAt,
+    formatAge(now - Date.parse(session.savedAt)),
+    session.encrypted ? "yes" : "no"
+  ]);
+  return renderTable(rows, ["SESSION", "SITE", "STATUS", "SAVED", "AGE", "ENCRYPTED"]);
+}
+
+function formatAge(ms) {
+  if (ms >= AGE_UNITS.d) return `${Math.floor(ms / AGE_UNITS.d)}d${Math.floor((ms % AGE_UNITS.d) / AGE_UNITS.h)}h`;
+  if (ms >= AGE_UNITS.h) return `${Math.floor(ms / AGE_UNITS.h)}h${String(Math.floor((ms % AGE_UNITS.h) / AGE_UNITS.m)).padStart(2, "0")}m`;
+  return formatDuration(ms);
+}
+
+function describeExpiry(cookie) {
+  return cookie.expires > 0 ? new Date(cookie.expires * 1000).toISOString() : "session";
+}
+
+function shorten(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}... (${text.length} chars)` : text;
+}
+
+// Cookie and storage values are credentials, so they are only printed with showValues.
+export async function describeSession(session, settings, { showValues = false } = {}) {
+  const state = await restoreSession(session.dir, settings);
+  const meta = state.meta;
+  const files = (await fs.readdir(session.dir, { withFileTypes: true })).filter((entry) => entry.isFile());
+  const fileSizes = await Promise.all(
+    files.map(async (entry) => `${entry.name} (${(await fs.stat(path.join(session.dir, entry.name))).size} B)`)
+  );
+  const lines = [
+    `session    ${session.reference}  (${session.dir})`,
+    `site       ${session.siteId ?? "-"}`,
+    `start url  ${meta.startUrl ?? "-"}`,
+    `saved      ${session.savedAt}`,
+    `check      ${session.sessionCheck ? `${session.sessionCheck.status} at ${session.sessionCheck.checkedAt}: ${session.sessionCheck.reason}` : "never checked"}`,
+    `user agent ${meta.fingerprint?.userAgent ?? "-"}`,
+    `encrypted  ${session.encrypted ? "yes" : "no"}`,
+    `saves      ${session.saves.length > 0 ? session.saves.join(", ") : "-"}`,
+    `files      ${fileSizes.join(", ")}`
+  ];
+  state.problems.forEach(({ file, error }) => lines.push(`problem    ${file} ${error}`));
+
+  lines.push("", `cookies (${state.cookies.length})`);
+  if (state.cookies.length > 0) {
+    const rows = state.cookies.map((cookie) => [
+      cookie.name,
+      cookie.domain ?? "-",
+      cookie.path ?? "/",
+      describeExpiry(cookie),
+      [cookie.httpOnly ? "httpOnly" : "", cookie.secure ? "secure" : "", cookie.sameSite ?? ""].filter(Boolean).join(" ") || "-",
+      ...(showValues ? [shorten(cookie.value)] : [])
+    ]);
+    lines.push(renderTable(rows, ["NAME", "DOMAIN", "PATH", "EXPIRES", "FLAGS", ...(showValues ? ["VALUE"] : [])]));
+  }
+  ["localStorage", "sessionStorage"].forEach((area) => {
+    const entries = Object.entries(state[area]);
+    lines.push("", `${area} (${entries.length})`);
+    entries.forEach(([key, value]) => lines.push(`  ${key}${showValues ? ` = ${shorten(value)}` : ` (${String(value).length} chars)`}`));
+  });
+
+  const origins = meta.origins ?? [];
+  lines.push("", `origins (${origins.length})`);
+  origins.forEach((entry) => lines.push(`  ${entry.origin}  ${describeOrigin(entry)}`));
+  return lines.join("\n");
+}
+
+// One line of the meta.json origin manifest.
+function describeOrigin(entry) {
+  if (entry.error) return `not saved: ${entry.error}`;
+  const parts = [`localStorage ${entry.localStorage}`, `sessionStorage ${entry.sessionStorage}`];
+  entry.indexedDB.forEach((database) => {
+    const stores = Object.entries(database.stores).map(([name, records]) => `${name} ${records}`);
+    parts.push(`indexedDB ${database.name} v${database.version} (${stores.join(", ") || "no stores"})`);
+  });
+  entry.cacheStorage.forEach((cache) => {
+    parts.push(`cache ${cache.name} (${cache.entries} entries${cache.skipped ? `, ${cache.skipped} skipped` : ""})`);
+  });
+  return parts.join(", ");
+}
+
+const cookieKey = (cookie) => `${cookie.name} (${cookie.domain ?? "-"}${cookie.path ?? "/"})`;
+const COOKIE_FIELDS = ["value", "expires", "httpOnly", "secure", "sameSite"];
+
+function diffEntries(before, after, compare) {
+  const diff = { added: [], removed: [], changed: [] };
+  after.forEach((value, key) => {
+    if (!before.has(key)) {
+      diff.added.push({ key, after: value });
+    } else {
+      const fields = compare(before.get(key), value);
+      if (fields.length > 0) diff.changed.push({ key, before: before.get(key), after: value, fields });
+    }
+  });
+  before.forEach((value, key) => {
+    if (!after.has(key)) diff.removed.push({ key, before: value });
+  });
+  return diff;
+}
+
+// Cookies are matched on name, domain and path; storage on key.
+export function diffSessionStates(before, after) {
+  const cookies = (state) => new Map(state.cookies.map((cookie) => [cookieKey(cookie), cookie]));
+  const compareCookies = (a, b) => COOKIE_FIELDS.filter((field) => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+  const compareValues = (a, b) => (a === b ? [] : ["value"]);
+  return {
+    cookies: diffEntries(cookies(before), cookies(after), compareCookies),
+    localStorage: diffEntries(new Map(Object.entries(before.localStorage)), new Map(Object.entries(after.localStorage)), compareValues),
+    sessionStorage: diffEntries(new Map(Object.entries(before.sessionStorage)), new Map(Object.entries(after.sessionStorage)), compareValues)
+  };
+}
+
+export function formatSessionDiff(diff, { beforeLabel, afterLabel, showValues = false }) {
+  const lines = [`--- ${beforeLabel}`, `+++ ${afterLabel}`];
+  // Cookie entries are objects, storage entries plain strings.
+  const valueOf = (entry) => (typeof entry === "object" ? entry.value : entry);
+  const show = (entry) => (showValues ? ` = ${shorten(valueOf(entry))}` : "");
+  Object.entries(diff).forEach(([area, { added, removed, changed }]) => {
+    lines.push("", `${area}: +${added.length} -${removed.length} ~${changed.length}`);
+    added.forEach((entry) => lines.push(`  + ${entry.key}${show(entry.after)}`));
+    removed.forEach((entry) => lines.push(`  - ${entry.key}${show(entry.before)}`));
+    changed.forEach((entry) => {
+      const details = entry.fields
+        .map((field) => {
+          if (field === "value") return showValues ? `value ${shorten(valueOf(entry.before))} -> ${shorten(valueOf(entry.after))}` : "value";
+          if (field === "expires") return `expires ${describeExpiry(entry.before)} -> ${describeExpiry(entry.after)}`;
+          return `${field} ${entry.before[field]} -> ${entry.after[field]}`;
+        })
+        .join(", ");
+      lines.push(`  ~ ${entry.key}: ${details}`);
+    });
+  });
+  return lines.join("\n");
+}
+
+// The state of a session, or of one of its earlier saves (saves/<label>).
+export async function readSessionState(session, settings, saveLabel = null) {
+  const dir = saveLabel ? path.join(session.dir, SESSION_SAVES_DIR, saveLabel) : session.dir;
+  if (saveLabel && !(await fs.pathExists(dir))) {
+    throw new Error(`${session.reference} has no ${saveLabel} save (saves: ${session.saves.join(", ") || "none"})`);
+  }
+  return restoreSession(dir, settings);
+}
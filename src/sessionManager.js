@@ -1,9 +1,40 @@
 import fs from "fs-extra";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { createLogger } from "./logger.js";
+import { writeSessionDiagnostics } from "./diagnostics.js";
+import { decryptJson, encryptJson } from "./secrets.js";
+import { captureOriginState } from "./originState.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.join(__dirname, "..");
+const log = createLogger("sessionManager");
+
+export const SESSION_KEY_ENV = "PUPETER_SESSION_KEY";
+// sessions/library/<name>/ holds imported sessions; it is not a run and is never pruned.
+export const SESSION_LIBRARY_DIR = "library";
+// <session>/saves/<label>/ keeps an earlier save (the collector's) for `sessions diff`.
+export const SESSION_SAVES_DIR = "saves";
+// Files holding live cookies and tokens; with sessionEncryption enabled they
+// are written as <name>.enc.json instead. origins.json holds the storage of
+// every origin the session visited (see originState.js).
+export const ENCRYPTED_SESSION_FILES = ["cookies.json", "localStorage.json", "sessionStorage.json", "origins.json"];
+
+// Run ids name folders under sessionsDir, next to the session library.
+export function validateRunId(runId) {
+  if (!/^[\w.-]+$/.test(runId) || /^\.+$/.test(runId)) {
+    throw new Error(`invalid run id "${runId}" (use letters, digits, ".", "_" and "-")`);
+  }
+  if (runId === SESSION_LIBRARY_DIR) {
+    throw new Error(`run id "${runId}" is reserved for the session library`);
+  }
+  return runId;
+}
+
+export function generateRunId() {
+  const iso = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-");
+  return `run-${iso.slice(0, 15)}`;
+}
 
 export function resolveSessionsBaseDir(settings) {
   return path.resolve(rootDir, settings.sessionsDir ?? "./sessions");
@@ -22,12 +53,74 @@ export async function ensureDirectory(dirPath) {
   await fs.mkdir(dirPath, { recursive: true });
 }
 
-export async function saveSession(page, sessionDir, { includeHar = false } = {}) {
+export function encryptedFileName(file) {
+  return file.replace(/\.json$/, ".enc.json");
+}
+
+function sessionKeyError(message) {
+  const err = new Error(message);
+  err.code = "ESESSIONKEY";
+  return err;
+}
+
+// The session key comes from PUPETER_SESSION_KEY, else from the file named by
+// sessionEncryption.keyFile. Returns null when neither is set.
+export function resolveSessionKey(settings) {
+  if (process.env[SESSION_KEY_ENV]) return process.env[SESSION_KEY_ENV];
+  const keyFile = settings?.sessionEncryption?.keyFile;
+  if (!keyFile) return null;
+  const filePath = path.resolve(rootDir, keyFile);
+  let key;
+  try {
+    key = fs.readFileSync(filePath, "utf-8").trim();
+  } catch (err) {
+    throw sessionKeyError(`cannot read session key file ${filePath}: ${err.message}`);
+  }
+  if (!key) throw sessionKeyError(`session key file ${filePath} is empty`);
+  return key;
+}
+
+export function requireSessionKey(settings, reason = "sessionEncryption is enabled") {
+  const key = resolveSessionKey(settings);
+  if (!key) {
+    throw sessionKeyError(`${reason}, but no session key is set: export ${SESSION_KEY_ENV} or set sessionEncryption.keyFile in settings.json`);
+  }
+  return key;
+}
+
+export async function readEncryptedSessionFile(filePath, key) {
+  const payload = await fs.readJson(filePath);
+  try {
+    return decryptJson(payload, key);
+  } catch {
+    throw sessionKeyError(`cannot decrypt ${filePath}: wrong session key or corrupted file`);
+  }
+}
+
+// Writes one of ENCRYPTED_SESSION_FILES in the form the settings ask for and
+// removes the other form, so a stale copy is never restored instead.
+export async function writeSessionFile(sessionDir, file, data, settings, key = null) {
+  const plainPath = path.join(sessionDir, file);
+  const encryptedPath = path.join(sessionDir, encryptedFileName(file));
+  if (key || settings?.sessionEncryption?.enabled) {
+    // Written beside and renamed over, so an interrupted write never leaves a half-encrypted file.
+    await fs.writeJson(`${encryptedPath}.tmp`, encryptJson(data, key ?? requireSessionKey(settings)), { spaces: 2 });
+    await fs.move(`${encryptedPath}.tmp`, encryptedPath, { overwrite: true });
+    await fs.remove(plainPath);
+  } else {
+    await fs.writeJson(plainPath, data, { spaces: 2 });
+    await fs.remove(encryptedPath);
+  }
+}
+
+export async function saveSession(page, sessionDir, settings, { includeHar = false, siteId = null, timeoutMs } = {}) {
   await ensureDirectory(sessionDir);
+  // Fails before anything is written when encryption is on and the key is missing.
+  const key = settings?.sessionEncryption?.enabled ? requireSessionKey(settings) : null;
 
   const client = await page.target().createCDPSession();
   const cookies = (await client.send("Network.getAllCookies")).cookies ?? [];
-  await fs.writeJson(path.join(sessionDir, "cookies.json"), cookies, { spaces: 2 });
+  await writeSessionFile(sessionDir, "cookies.json", cookies, settings, key);
 
   const storage = await page.evaluate(() => {
     const readStorage = (storageObj) => {
@@ -44,15 +137,31 @@ export async function saveSession(page, sessionDir, { includeHar = false } = {})
     };
   });
 
-  await fs.writeJson(path.join(sessionDir, "localStorage.json"), storage.localStorage, { spaces: 2 });
-  await fs.writeJson(path.join(sessionDir, "sessionStorage.json"), storage.sessionStorage, { spaces: 2 });
+  await writeSessionFile(sessionDir, "localStorage.json", storage.localStorage, settings, key);
+  await writeSessionFile(sessionDir, "sessionStorage.json", storage.sessionStorage, settings, key);
+
+  const origins = await captureOriginState(page, settings, { timeoutMs });
+  await writeSessionFile(sessionDir, "origins.json", origins.state, settings, key);
+  origins.manifest
+    .filter((entry) => entry.error)
+    .forEach((entry) => log.warn(`storage of ${entry.origin} not saved: ${entry.error}`));
 
   const fingerprint = page._fingerprint ?? {};
+  const previousMeta = await fs.readJson(path.join(sessionDir, "meta.json")).catch(() => ({}));
   const meta = {
+    siteId: siteId ?? previousMeta.siteId ?? null,
     startUrl: page.url(),
     timestamp: new Date().toISOString(),
-    fingerprint
+    fingerprint,
+    origins: origins.manifest
   };
+  // The last session check stays on record (with its checkedAt) until the next check.
+  if (previousMeta.sessionCheck) {
+    meta.sessionCheck = previousMeta.sessionCheck;
+  }
+  if (page._diagnostics) {
+    meta.diagnostics = await writeSessionDiagnostics(sessionDir, page._diagnostics);
+  }
   await fs.writeJson(path.join(sessionDir, "meta.json"), meta, { spaces: 2 });
 
   await page.screenshot({ path: path.join(sessionDir, "snapshot.png"), fullPage: true });
@@ -63,18 +172,32 @@ export async function saveSession(page, sessionDir, { includeHar = false } = {})
   }
 }
 
-export async function restoreSession(sessionDir) {
+// Missing or unreadable files fall back to empty values so a worker can still
+// start; they are listed in `problems` for the caller to report. Encrypted
+// files are read whatever sessionEncryption says, and a missing or wrong key
+// throws rather than restoring an empty session.
+export async function restoreSession(sessionDir, settings) {
   const session = {
     cookies: [],
     localStorage: {},
     sessionStorage: {},
-    meta: {}
+    origins: {},
+    meta: {},
+    problems: []
   };
 
-  async function safeReadJson(file, fallback) {
+  // Optional files (origins.json, absent from sessions saved before it existed) are not problems when missing.
+  async function safeReadJson(file, fallback, { optional = false } = {}) {
+    const encryptedPath = path.join(sessionDir, encryptedFileName(file));
+    if (ENCRYPTED_SESSION_FILES.includes(file) && (await fs.pathExists(encryptedPath))) {
+      return readEncryptedSessionFile(encryptedPath, requireSessionKey(settings, `${encryptedPath} is encrypted`));
+    }
     try {
       return await fs.readJson(path.join(sessionDir, file));
-    } catch {
+    } catch (err) {
+      if (!(optional && err.code === "ENOENT")) {
+        session.problems.push({ file, error: err.code === "ENOENT" ? "missing" : `unreadable (${err.message})` });
+      }
       return fallback;
     }
   }
@@ -82,22 +205,50 @@ export async function restoreSession(sessionDir) {
   session.cookies = await safeReadJson("cookies.json", []);
   session.localStorage = await safeReadJson("localStorage.json", {});
   session.sessionStorage = await safeReadJson("sessionStorage.json", {});
+  session.origins = await safeReadJson("origins.json", {}, { optional: true });
   session.meta = await safeReadJson("meta.json", {});
   return session;
 }
 
+// Copies the session files as they are now (encrypted ones stay encrypted) to
+// saves/<label>/, so later saves can be compared against this one.
+export async function snapshotSessionSave(sessionDir, label) {
+  const targetDir = path.join(sessionDir, SESSION_SAVES_DIR, label);
+  await fs.remove(targetDir);
+  await ensureDirectory(targetDir);
+  const names = ["meta.json", ...ENCRYPTED_SESSION_FILES.flatMap((file) => [file, encryptedFileName(file)])];
+  for (const name of names) {
+    if (await fs.pathExists(path.join(sessionDir, name))) {
+      await fs.copy(path.join(sessionDir, name), path.join(targetDir, name));
+    }
+  }
+}
+
+// Merges fields into meta.json, creating it when the session has none yet.
+export async function updateSessionMeta(sessionDir, patch) {
+  const metaFile = path.join(sessionDir, "meta.json");
+  const meta = await fs.readJson(metaFile).catch(() => ({}));
+  await ensureDirectory(sessionDir);
+  await fs.writeJson(metaFile, { ...meta, ...patch }, { spaces: 2 });
+}
+
 export async function applySavedStorage(page, session, originUrl) {
   if (!session) return;
 
   if (session.cookies && session.cookies.length > 0) {
+    // Cookies of every origin the session visited (an SSO provider too), not just the start page's.
+    const hostnames = [originUrl ?? session.meta?.startUrl ?? page.url(), ...Object.keys(session.origins ?? {})]
+      .map((url) => {
+        try {
+          return new URL(url).hostname;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
     const filtered = session.cookies.filter((cookie) => {
-      if (!cookie.domain) return true;
-      try {
-        const url = new URL(originUrl ?? session.meta?.startUrl ?? page.url());
-        return url.hostname.endsWith(cookie.domain.replace(/^\./, ""));
-      } catch {
-        return true;
-      }
+      if (!cookie.domain || hostnames.length === 0) return true;
+      return hostnames.some((hostname) => hostname.endsWith(cookie.domain.replace(/^\./, "")));
     });
     if (filtered.length) {
       // Clean up incompatible cookie properties
@@ -111,7 +262,7 @@ export async function applySavedStorage(page, session, originUrl) {
       try {
         await page.setCookie(...cleanedCookies);
       } catch (err) {
-        console.warn("[sessionManager] cookie restore warning:", err.message);
+        log.warn(`cookie restore warning: ${err.message}`);
       }
     }
   }
@@ -132,24 +283,174 @@ export async function applySavedStorage(page, session, originUrl) {
   );
 }
 
-export async function pruneOldSessions(settings) {
+// Every saved session (a folder with meta.json) under sessionsDir, library
+// included, with what its meta.json says about it.
+export async function collectSessions(settings) {
+  const baseDir = resolveSessionsBaseDir(settings);
+  const runs = (await fs.readdir(baseDir, { withFileTypes: true }).catch(() => [])).filter((entry) => entry.isDirectory());
+  const sessions = await Promise.all(
+    runs.map(async (run) => {
+      const profiles = (await fs.readdir(path.join(baseDir, run.name), { withFileTypes: true })).filter((entry) => entry.isDirectory());
+      return Promise.all(
+        profiles.map(async (profile) => {
+          const dir = path.join(baseDir, run.name, profile.name);
+          const metaFile = path.join(dir, "meta.json");
+          const meta = await fs.readJson(metaFile).catch(() => null);
+          if (!meta) return null;
+          const savedAt = meta.timestamp ?? (await fs.stat(metaFile)).mtime.toISOString();
+          return {
+            reference: `${run.name}/${profile.name}`,
+            runId: run.name,
+            profileId: profile.name,
+            dir,
+            library: run.name === SESSION_LIBRARY_DIR,
+            siteId: meta.siteId ?? null,
+            startUrl: meta.startUrl ?? null,
+            savedAt,
+            status: meta.sessionCheck?.status ?? "unchecked",
+            sessionCheck: meta.sessionCheck ?? null,
+            encrypted: await fs.pathExists(path.join(dir, encryptedFileName("cookies.json"))),
+            saves: await fs.readdir(path.join(dir, SESSION_SAVES_DIR)).catch(() => [])
+          };
+        })
+      );
+    })
+  );
+  return sessions.flat().filter(Boolean).sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Applies the retention policies and returns what was (or, with dryRun, would
+// be) removed: run folders idle longer than retentionHours (by folder mtime),
+// then all but the newest keepLastPerSite sessions of each site. The library
+// and the runs in skipRuns (e.g. the active one) are never touched.
+export async function pruneOldSessions(
+  settings,
+  {
+    retentionHours = settings.sessionRetentionHours ?? 0,
+    keepLastPerSite = settings.sessionKeepLastPerSite ?? 0,
+    skipRuns = [],
+    dryRun = false
+  } = {}
+) {
   const baseDir = resolveSessionsBaseDir(settings);
-  const maxAgeHours = settings.sessionRetentionHours ?? 0;
-  if (!maxAgeHours || maxAgeHours <= 0) return;
   const now = Date.now();
+  const removals = [];
+  const protectedRuns = new Set([SESSION_LIBRARY_DIR, ...skipRuns]);
+
+  if (retentionHours > 0) {
+    const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.filter((item) => item.isDirectory() && !protectedRuns.has(item.name))) {
+      const dirPath = path.join(baseDir, entry.name);
+      const ageHours = (now - (await fs.stat(dirPath)).mtimeMs) / 3600000;
+      if (ageHours > retentionHours) {
+        removals.push({ path: dirPath, target: entry.name, reason: `run idle ${Math.floor(ageHours)}h (retention ${retentionHours}h)` });
+      }
+    }
+  }
+
+  if (keepLastPerSite > 0) {
+    const removedRuns = new Set(removals.map((removal) => removal.target));
+    const bySite = new Map();
+    (await collectSessions(settings))
+      .filter((session) => !protectedRuns.has(session.runId) && !removedRuns.has(session.runId))
+      .forEach((session) => {
+        const key = session.siteId ?? "(unknown site)";
+        bySite.set(key, [...(bySite.get(key) ?? []), session]);
+      });
+    // collectSessions sorts newest first.
+    bySite.forEach((sessions, siteId) => {
+      sessions.slice(keepLastPerSite).forEach((session) => {
+        removals.push({ path: session.dir, target: session.reference, reason: `older than the newest ${keepLastPerSite} of ${siteId}` });
+      });
+    });
+  }
+
+  if (!dryRun) {
+    await Promise.all(removals.map((removal) => fs.remove(removal.path)));
+  }
+  return removals;
+}
+
+// Session folders (those holding any of ENCRYPTED_SESSION_FILES in either
+// form) under dirPath, down to `depth` levels.
+async function findSessionDirs(dirPath, depth) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+  const names = new Set(entries.filter((entry) => entry.isFile()).map((entry) => entry.name));
+  const isSession = ENCRYPTED_SESSION_FILES.some((file) => names.has(file) || names.has(encryptedFileName(file)));
+  if (isSession) {
+    const saves = await fs.readdir(path.join(dirPath, SESSION_SAVES_DIR)).catch(() => []);
+    return [dirPath, ...saves.map((label) => path.join(dirPath, SESSION_SAVES_DIR, label))];
+  }
+  if (depth === 0) return [];
+  const nested = await Promise.all(
+    entries.filter((entry) => entry.isDirectory()).map((entry) => findSessionDirs(path.join(dirPath, entry.name), depth - 1))
+  );
+  return nested.flat();
+}
+
+// Re-encrypts every saved session with newKey: encrypted files are decrypted
+// with the current key, plain ones are encrypted for the first time. All files
+// are decrypted before any is rewritten, so a wrong current key changes
+// nothing; files already under newKey (an interrupted rekey) are kept as they
+// are. Rekeying with the current key is how existing plain sessions get encrypted.
+export async function rekeySessions(settings, newKey) {
+  const currentKey = resolveSessionKey(settings);
+  const sessionDirs = await findSessionDirs(resolveSessionsBaseDir(settings), 2);
+  const pending = [];
+  const summary = { sessions: 0, reencrypted: 0, encrypted: 0, alreadyRekeyed: 0 };
+  for (const sessionDir of sessionDirs) {
+    for (const file of ENCRYPTED_SESSION_FILES) {
+      const encryptedPath = path.join(sessionDir, encryptedFileName(file));
+      const plainPath = path.join(sessionDir, file);
+      if (await fs.pathExists(encryptedPath)) {
+        const payload = await fs.readJson(encryptedPath);
+        if (currentKey) {
+          try {
+            pending.push({ sessionDir, file, data: decryptJson(payload, currentKey) });
+            summary.reencrypted += 1;
+            continue;
+          } catch {
+            // Falls through to the new key below.
+          }
+        }
+        try {
+          decryptJson(payload, newKey);
+          summary.alreadyRekeyed += 1;
+        } catch {
+          throw sessionKeyError(
+            currentKey
+              ? `cannot decrypt ${encryptedPath} with the current session key`
+              : `${encryptedPath} is encrypted, but no current session key is set (${SESSION_KEY_ENV} or sessionEncryption.keyFile)`
+          );
+        }
+      } else if (await fs.pathExists(plainPath)) {
+        pending.push({ sessionDir, file, data: await fs.readJson(plainPath) });
+        summary.encrypted += 1;
+      }
+    }
+  }
+  for (const { sessionDir, file, data } of pending) {
+    await writeSessionFile(sessionDir, file, data, settings, newKey);
+  }
+  summary.sessions = new Set(pending.map((entry) => entry.sessionDir)).size;
+  return summary;
+}
+
+// Newest run folder holding a saved session (meta.json) for the profile, or null.
+export async function findLatestSessionRun(settings, profileId) {
+  const baseDir = resolveSessionsBaseDir(settings);
   const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
-  await Promise.all(
+  const runs = await Promise.all(
     entries
-      .filter((entry) => entry.isDirectory())
+      .filter((entry) => entry.isDirectory() && entry.name !== SESSION_LIBRARY_DIR)
       .map(async (entry) => {
-        const dirPath = path.join(baseDir, entry.name);
-        const stat = await fs.stat(dirPath);
-        const ageHours = (now - stat.mtimeMs) / 3600000;
-        if (ageHours > maxAgeHours) {
-          await fs.remove(dirPath);
-        }
+        const metaFile = path.join(baseDir, entry.name, profileId, "meta.json");
+        const stat = await fs.stat(metaFile).catch(() => null);
+        return stat ? { runId: entry.name, mtimeMs: stat.mtimeMs } : null;
       })
   );
+  const latest = runs.filter(Boolean).sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+  return latest?.runId ?? null;
 }
 
 export async function listSessions(settings, runId) {
@@ -158,3 +459,48 @@ export async function listSessions(settings, runId) {
   return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
 }
 
+
+function extractedFileName(format) {
+  return format === "ndjson" ? "extracted.ndjson" : "extracted.json";
+}
+
+export async function readExtracted(sessionDir, format = "json") {
+  const filePath = path.join(sessionDir, extractedFileName(format));
+  if (format === "ndjson") {
+    const content = await fs.readFile(filePath, "utf-8").catch(() => "");
+    return content
+      .split("\n")
+      .filter((line) => line.trim().length > 0)
+      .map((line) => JSON.parse(line));
+  }
+  return fs.readJson(filePath).catch(() => []);
+}
+
+export async function appendExtracted(sessionDir, records, format = "json") {
+  if (!records || records.length === 0) return;
+  await ensureDirectory(sessionDir);
+  const filePath = path.join(sessionDir, extractedFileName(format));
+  if (format === "ndjson") {
+    await fs.appendFile(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(""));
+    return;
+  }
+  const existing = await readExtracted(sessionDir, format);
+  await fs.writeJson(filePath, [...existing, ...records], { spaces: 2 });
+}
+
+export async function writeRunDataset(settings, runId, sessions, format = "json") {
+  const dataset = [];
+  for (const { profileId, siteId } of sessions) {
+    const records = await readExtracted(resolveSessionDir(settings, runId, profileId), format);
+    dataset.push(...records.map((record) => ({ profileId, siteId, ...record })));
+  }
+  if (dataset.length === 0) return null;
+
+  const filePath = path.join(resolveRunDir(settings, runId), `dataset.${format === "ndjson" ? "ndjson" : "json"}`);
+  if (format === "ndjson") {
+    await fs.writeFile(filePath, dataset.map((record) => `${JSON.stringify(record)}\n`).join(""));
+  } else {
+    await fs.writeJson(filePath, dataset, { spaces: 2 });
+  }
+  return { filePath, count: dataset.length };
+}
@@ -0,0 +1,69 @@
+export function formatDuration(ms) {
+  if (ms === undefined || ms === null || Number.isNaN(ms)) return "-";
+  const totalSec = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSec / 60);
+  const seconds = totalSec % 60;
+  return minutes > 0 ? `${minutes}m${String(seconds).padStart(2, "0")}s` : `${seconds}s`;
+}
+
+function formatCounts(counts = {}) {
+  const entries = Object.entries(counts);
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(" ") : "-";
+}
+
+export function renderTable(rows, headers) {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map((row) => String(row[index]).length)));
+  const line = (cells) => cells.map((cell, index) => String(cell).padEnd(widths[index])).join("  ").trimEnd();
+  return [line(headers), line(widths.map((width) => "-".repeat(width))), ...rows.map(line)].join("\n");
+}
+
+// Renders the controller state file as a plain-text dashboard for `status --watch`.
+export function formatStatus(state, now = Date.now()) {
+  const lines = [];
+  const running = ["starting", "running"].includes(state.status);
+  const started = state.startedAt ? Date.parse(state.startedAt) : null;
+  const finished = state.completedAt ? Date.parse(state.completedAt) : now;
+
+  lines.push(`run ${state.runId ?? "-"}  status=${state.status}${state.stopRequested ? " (stopping)" : ""}  pid=${state.pid ?? "-"}`);
+  if (started) {
+    lines.push(`elapsed ${formatDuration((running ? now : finished) - started)}  updated ${state.updatedAt ?? state.completedAt ?? "-"}`);
+  }
+  if (running) {
+    const cycle = state.cycle ? `${state.cycle.current}/${state.cycle.total}` : "-";
+    const queue = state.queue ?? {};
+    lines.push(`phase ${state.phase ?? "-"}  cycle ${cycle}  queue pending=${queue.pending ?? 0} running=${queue.running ?? 0} done=${queue.done ?? 0}`);
+  }
+  if (state.counts) {
+    const sessions = state.counts.sessions ? `  sessions ${formatCounts(state.counts.sessions)}` : "";
+    lines.push(`collectors ${formatCounts(state.counts.collectors)}${sessions}  actions ${formatCounts(state.counts.actions)}`);
+  }
+  if (state.diagnostics) {
+    const pageIssues = (counts = {}) =>
+      `pageErrors=${counts.pageErrors ?? 0} consoleErrors=${counts.consoleErrors ?? 0} failedRequests=${counts.requestFailures ?? 0} http5xx=${counts.http5xx ?? 0}`;
+    lines.push(`page issues  collectors ${pageIssues(state.diagnostics.collectors)}  actions ${pageIssues(state.diagnostics.actions)}`);
+  }
+
+  const workers = running ? state.workers ?? [] : [];
+  if (workers.length > 0) {
+    const rows = workers.map((worker) => {
+      // Elapsed in the file is as of the last write; extend it to now.
+      const elapsed = worker.startedAt ? now - Date.parse(worker.startedAt) : worker.elapsedMs;
+      const step = worker.step;
+      return [
+        worker.key,
+        worker.profileId ?? "-",
+        worker.siteId ?? "-",
+        worker.phase ?? "-",
+        step ? `${step.path}${worker.stepsTotal !== undefined ? ` (of ${worker.stepsTotal})` : ""}` : "-",
+        step?.type ?? "-",
+        formatDuration(elapsed)
+      ];
+    });
+    lines.push("");
+    lines.push(renderTable(rows, ["WORKER", "PROFILE", "SITE", "PHASE", "STEP", "TYPE", "ELAPSED"]));
+  } else if (running) {
+    lines.push("");
+    lines.push("no active workers");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,90 @@
+import { setTimeout as delay } from "node:timers/promises";
+
+// Shared between the controller and its in-process workers. Workers register
+// their browsers so `controller.js stop --force` can kill them by PID, report
+// progress for `controller.js status`, and check `stopRequested` before
+// starting new work.
+export function createRunControl({ onChange = () => {} } = {}) {
+  const abortController = new AbortController();
+  const browsers = new Map();
+  const workers = new Map();
+
+  const control = {
+    stopRequested: false,
+    stopReason: null,
+    signal: abortController.signal,
+    browsers,
+    requestStop(reason = "stop requested") {
+      if (control.stopRequested) return;
+      control.stopRequested = true;
+      control.stopReason = reason;
+      abortController.abort();
+      onChange();
+    },
+    registerBrowser(key, browser) {
+      const pid = browser?.process()?.pid;
+      if (pid) {
+        browsers.set(key, pid);
+        onChange();
+      }
+    },
+    unregisterBrowser(key) {
+      if (browsers.delete(key)) {
+        onChange();
+      }
+    },
+    browserPids() {
+      return Object.fromEntries(browsers);
+    },
+    updateWorker(key, patch) {
+      const current = workers.get(key) ?? { key, startedAt: new Date().toISOString() };
+      workers.set(key, { ...current, ...patch });
+      onChange();
+    },
+    removeWorker(key) {
+      if (workers.delete(key)) {
+        onChange();
+      }
+    },
+    workerSnapshot() {
+      const now = Date.now();
+      return [...workers.values()].map((worker) => ({
+        ...worker,
+        elapsedMs: now - Date.parse(worker.startedAt)
+      }));
+    }
+  };
+  return control;
+}
+
+// Sleeps like `delay`, but returns early (without throwing) once a stop is requested.
+export async function interruptibleDelay(ms, control) {
+  if (!control) {
+    await delay(ms);
+    return;
+  }
+  if (control.stopRequested) return;
+  await delay(ms, undefined, { signal: control.signal }).catch((err) => {
+    if (err.name !== "AbortError") throw err;
+  });
+}
+
+export function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+export function killProcess(pid, signal = "SIGKILL") {
+  if (!isProcessAlive(pid)) return false;
+  try {
+    process.kill(pid, signal);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,67 @@
+// Keys holding nested step lists. Their placeholders are resolved when the
+// nested steps run, so inner loops can shadow outer loop variables.
+const NESTED_KEYS = new Set(["then", "else", "steps"]);
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+export function readPath(data, dotPath) {
+  if (!dotPath) return data;
+  return String(dotPath)
+    .split(".")
+    .reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), data);
+}
+
+export function findExtracted(extracted, name) {
+  return [...(extracted ?? [])].reverse().find((entry) => entry.name === name);
+}
+
+// Resolution order: `env.NAME` reads the environment, `extracted.<name>[.path]`
+// reads the latest extract record; anything else is looked up in `vars`
+// (run parameters, then the data row, then loop and flow variables).
+function resolveName(name, scope) {
+  const [head, ...rest] = name.split(".");
+  if (head === "env" && rest.length > 0) {
+    return process.env[rest.join(".")];
+  }
+  if (head === "extracted" && rest.length > 0) {
+    const record = findExtracted(scope.extracted, rest[0]);
+    return readPath(record?.data, rest.slice(1).join("."));
+  }
+  if (Object.prototype.hasOwnProperty.call(scope.vars ?? {}, name)) {
+    return scope.vars[name];
+  }
+  return readPath(scope.vars, name);
+}
+
+function formatValue(value) {
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Unresolved placeholders are left untouched so a typo shows up verbatim in
+// the typed text or selector instead of silently becoming an empty string.
+// A value that is nothing but one placeholder keeps the resolved type, so
+// `"items": "{{extracted.products}}"` is a list and `"ms": "{{delay}}"` a number.
+export function interpolate(value, scope, key = null) {
+  if (key !== null && NESTED_KEYS.has(key)) {
+    return value;
+  }
+  const single = typeof value === "string" ? value.match(SINGLE_PLACEHOLDER) : null;
+  if (single) {
+    const resolved = resolveName(single[1], scope);
+    return resolved === undefined || resolved === null ? value : resolved;
+  }
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (placeholder, name) => {
+      const resolved = resolveName(name, scope);
+      return resolved === undefined || resolved === null ? placeholder : formatValue(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, scope));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([entryKey, entry]) => [entryKey, interpolate(entry, scope, entryKey)]));
+  }
+  return value;
+}
@@ -0,0 +1,36 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { runSteps } from "../src/action.js";
+
+const page = { url: () => "https://shop.test/products/B2" };
+
+function createContext(vars = {}, extracted = []) {
+  return { profileId: "0001", settings: {}, flows: {}, extracted, results: [], vars, rowIndex: null, row: null, depth: 0, loopSeq: 0 };
+}
+
+describe("action steps", () => {
+  test("forEach loops over a list from an extract record or a variable", async () => {
+    const context = createContext({ pause: 0, tags: ["new", "sale"] }, [{ name: "products", data: [{ sku: "A1" }, { sku: "B2" }] }]);
+    await runSteps(page, null, [
+      {
+        type: "forEach",
+        as: "product",
+        items: "{{extracted.products}}",
+        steps: [{ type: "if", condition: { url: { contains: "/{{product.sku}}" } }, then: [{ type: "wait", ms: "{{pause}}" }] }]
+      },
+      { type: "forEach", items: "{{tags}}", steps: [{ type: "wait", ms: 0 }] }
+    ], context);
+    assert.deepEqual(
+      context.results.map((result) => [result.path, result.status]),
+      [
+        ["0", "passed"],
+        ["0.0.0", "passed"],
+        ["0.1.0", "passed"],
+        ["0.1.0.then.0", "passed"],
+        ["1", "passed"],
+        ["1.0.0", "passed"],
+        ["1.1.0", "passed"]
+      ]
+    );
+  });
+});
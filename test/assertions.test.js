@@ -0,0 +1,40 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { isAssertionStep, matchValue, runAssertion } from "../src/assertions.js";
+
+describe("assertions", () => {
+  test("values are compared as strings against equals, contains and matches", () => {
+    assert.equal(matchValue("Order #1001", { contains: "#1001" }), null);
+    assert.equal(matchValue(42, { equals: "42" }), null);
+    assert.equal(matchValue(null, { equals: "" }), null);
+    assert.equal(matchValue("https://shop.test/cart?id=7", { matches: "cart\\?id=\\d+$" }), null);
+    assert.equal(matchValue("anything"), null);
+    assert.equal(matchValue("Cart", { equals: "cart" }), 'expected "cart"');
+    assert.equal(matchValue(undefined, { contains: "x" }), 'expected to contain "x"');
+    assert.equal(matchValue("abc", { contains: "a", matches: "^b" }), "expected to match /^b/");
+  });
+
+  test("page assertions poll the page until they pass or time out", async () => {
+    let url = "https://shop.test/login";
+    setTimeout(() => {
+      url = "https://shop.test/account";
+    }, 150);
+    const page = { url: () => url, title: async () => "Shop", $$eval: async () => 3 };
+    await runAssertion(page, { type: "assertUrl", contains: "/account", timeoutMs: 2000 });
+    await runAssertion(page, { type: "assertCount", selector: ".item", min: 1, max: 3 });
+    await assert.rejects(runAssertion(page, { type: "assertTitle", equals: "Account", timeoutMs: 200 }), {
+      message: 'assertTitle failed: title expected "Account", got "Shop"'
+    });
+    await assert.rejects(runAssertion(page, { type: "assertCount", selector: ".item", min: 4, timeoutMs: 200 }), {
+      message: "assertCount failed: .item count expected at least 4, got 3"
+    });
+    await runAssertion(page, { type: "assertCount", selector: ".item", count: "3" });
+    await runAssertion(page, { type: "assertCount", selector: ".item", min: "2", max: " 3 " });
+    await assert.rejects(runAssertion(page, { type: "assertCount", selector: ".item", count: "three" }), {
+      message: 'assertCount count must be a number, got "three"'
+    });
+    await assert.rejects(runAssertion(page, { type: "assertCount", selector: ".item", max: "" }), /max must be a number/);
+    await assert.rejects(runAssertion(page, { type: "assertSmell" }), /Unsupported assertion type: assertSmell/);
+    assert.deepEqual([{ type: "assertCount" }, { type: "click" }, null].map(isAssertionStep), [true, false, false]);
+  });
+});
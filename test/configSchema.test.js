@@ -0,0 +1,76 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { formatProblem, validateConfigs } from "../src/configSchema.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const readConfig = (name) => fs.readJson(path.join(ROOT_DIR, "config", `${name}.json`));
+
+describe("config validation", () => {
+  let configs;
+  before(async () => {
+    const [settings, sites, actions, flows] = await Promise.all(["settings", "sites", "actions", "flows"].map(readConfig));
+    configs = { settings, sites, actions, flows };
+  });
+
+  test("the shipped config folder is valid", () => {
+    assert.deepEqual(validateConfigs(configs).map(formatProblem), []);
+  });
+
+  test("problems name the file and JSON path, with errors and warnings apart", () => {
+    const [site] = configs.sites;
+    const problems = validateConfigs({
+      settings: { ...configs.settings, actionTimeoutSec: -1, logLevel: "loud", extraThing: 1 },
+      sites: [site, { ...site }],
+      actions: {
+        [site.id]: [
+          { type: "click" },
+          { type: "teleport" },
+          { type: "assertUrl" },
+          { type: "call", flow: "nope" },
+          { type: "if", condition: { exists: "#a" }, then: [{ type: "wait", ms: "{{delay}}" }, { type: "wait", ms: "soon" }] }
+        ],
+        ghost: []
+      },
+      flows: configs.flows
+    }).map(formatProblem);
+    assert.deepEqual(problems, [
+      "error   config/settings.json $.actionTimeoutSec: must be >= 0",
+      "error   config/settings.json $.logLevel: must be one of debug, info, warn, error, silent",
+      "warning config/settings.json $.extraThing: unknown field",
+      `error   config/sites.json $[1].id: duplicate site id "${site.id}"`,
+      `error   config/actions.json $["${site.id}"][0].selector: is required`,
+      `error   config/actions.json $["${site.id}"][1].type: unknown step type "teleport" (expected one of wait, scroll, click, hover, type, key, screenshot, extract, assertText, assertVisible, assertUrl, assertTitle, assertCount, assertAttribute, if, repeat, forEach, call)`,
+      `error   config/actions.json $["${site.id}"][2]: assertUrl needs equals, contains or matches`,
+      `error   config/actions.json $["${site.id}"][3].flow: unknown flow "nope"`,
+      `error   config/actions.json $["${site.id}"][4].then[1].ms: expected number, got string`,
+      'warning config/actions.json $.ghost: no site with id "ghost" in sites.json'
+    ]);
+  });
+
+  test("assertCount bounds accept numbers, numeric strings and templates only", () => {
+    const [site] = configs.sites;
+    const steps = [
+      { type: "assertCount", selector: "li", count: 3, min: "1", max: "{{max}}" },
+      { type: "assertCount", selector: "li", count: "three" },
+      { type: "assertCount", selector: "li", min: -1, max: 2.5 }
+    ];
+    const problems = validateConfigs({ ...configs, actions: { ...configs.actions, [site.id]: steps } }).map(formatProblem);
+    assert.deepEqual(problems, [
+      `error   config/actions.json $["${site.id}"][1].count: must be a whole number >= 0`,
+      `error   config/actions.json $["${site.id}"][2].min: must be a whole number >= 0`,
+      `error   config/actions.json $["${site.id}"][2].max: expected integer or string, got number`
+    ]);
+  });
+
+  test("top-level shapes are checked before their contents", () => {
+    const problems = validateConfigs({ settings: [], sites: [], actions: null, flows: "login" }).map(formatProblem);
+    assert.deepEqual(problems, [
+      "error   config/settings.json $: expected object",
+      "error   config/sites.json $: at least one site is required",
+      "error   config/flows.json $: expected object mapping flow names to step lists",
+      "error   config/actions.json $: expected object mapping site ids to step lists"
+    ]);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseVarOptions } from "../src/dataSource.js";
+
+describe("data sources", () => {
+  test("CSV rows are keyed by the header with quoted commas and quotes", () => {
+    const rows = parseCsv('email, name ,note\r\na@shop.test,"Lovelace, Ada","said ""hi"""\n\nb@shop.test,Bob\n');
+    assert.deepEqual(rows, [
+      { email: "a@shop.test", name: "Lovelace, Ada", note: 'said "hi"' },
+      { email: "b@shop.test", name: "Bob", note: "" }
+    ]);
+    assert.deepEqual(parseCsv("\n  \n"), []);
+  });
+
+  test("--var options split on the first equals sign", () => {
+    assert.deepEqual(parseVarOptions(["env=staging", " query =a=b", "empty="]), { env: "staging", query: "a=b", empty: "" });
+    assert.deepEqual(parseVarOptions("single=1"), { single: "1" });
+    assert.deepEqual(parseVarOptions(undefined), {});
+    assert.throws(() => parseVarOptions(["=value"]), /Invalid --var "=value"/);
+    assert.throws(() => parseVarOptions(["novalue"]), /expected key=value/);
+  });
+});
@@ -0,0 +1,238 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ASSERTION_TYPES } from "../src/assertions.js";
+import { CONTROL_TYPES } from "../src/flow.js";
+import { FIXTURE_PASSWORD, startFixtureServer } from "./fixtures/server.js";
+import { ROOT_DIR, browserUnavailableReason, runController, runDir, writeTestConfig } from "./helpers.js";
+import { E2E_SITE_ID, e2eFlows, e2eSite, e2eSteps } from "./workflows.js";
+
+const ACTION_TYPES = ["wait", "scroll", "hover", "click", "type", "key", "screenshot", "extract"];
+const EMAIL = "tester@example.com";
+const skip = browserUnavailableReason() ?? false;
+
+// Skipped describe blocks do not show up in the run summary, so a missing
+// Chrome is reported as a skipped test and a warning, or as a failure when
+// PUPETER_REQUIRE_BROWSER=1 (for CI jobs that install Chrome).
+if (skip) {
+  const required = process.env.PUPETER_REQUIRE_BROWSER === "1";
+  process.stderr.write(`\nWARNING: end-to-end suites not run: ${skip}\n\n`);
+  test("Chrome for Puppeteer is available for the end-to-end suites", { skip: required ? false : skip }, () => {
+    assert.fail(`end-to-end suites not run: ${skip}`);
+  });
+}
+
+// One collector and one headless action worker per run, against the fixture server.
+async function startRun(fixtures, name, { steps, flows = {}, onOutput = null }) {
+  const runId = `e2e-${name}-${Date.now()}`;
+  const configDir = path.join(ROOT_DIR, "tmp", `test-config-${name}-${process.pid}`);
+  await writeTestConfig(configDir, { site: e2eSite(fixtures.url), steps, flows });
+  const outcome = await runController(
+    ["start", "--collectors=1", "--visible=1", "--headless-actions", `--run-id=${runId}`, `--var=email=${EMAIL}`],
+    { configDir, env: { PUPETER_SECRET_FIXTURES_PASSWORD: FIXTURE_PASSWORD }, onOutput }
+  );
+  const results = await fs.readJson(path.join(runDir(runId), "results.json")).catch(() => null);
+  return { runId, configDir, outcome, results };
+}
+
+async function removeRun(run) {
+  if (!run) return;
+  await fs.remove(run.configDir);
+  await fs.remove(runDir(run.runId));
+}
+
+describe("full workflow against the fixture site", { skip }, () => {
+  let fixtures;
+  let run;
+  let sessionDir;
+
+  before(
+    async () => {
+      fixtures = await startFixtureServer();
+      run = await startRun(fixtures, "workflow", { steps: e2eSteps, flows: e2eFlows });
+      sessionDir = run.results?.actions?.[0]?.sessionDir ?? null;
+    },
+    { timeout: 240000 }
+  );
+
+  after(async () => {
+    await fixtures?.close();
+    await removeRun(run);
+  });
+
+  test("the run finishes with one ok collector and one ok action worker", () => {
+    assert.equal(run.outcome.code, 0, run.outcome.output);
+    assert.ok(run.results, `no results.json\n${run.outcome.output}`);
+    assert.deepEqual(run.results.collectors.map((result) => result.status), ["ok"]);
+    assert.deepEqual(run.results.actions.map((result) => result.status), ["ok"], run.outcome.output);
+    assert.equal(run.results.actions[0].site.id, E2E_SITE_ID);
+  });
+
+  test("every step passes and every step type was exercised", () => {
+    const steps = run.results.actions[0].steps;
+    const failed = steps.filter((step) => step.status !== "passed");
+    assert.deepEqual(failed, []);
+    const types = new Set(steps.map((step) => step.type));
+    [...ACTION_TYPES, ...ASSERTION_TYPES, ...CONTROL_TYPES].forEach((type) => {
+      assert.ok(types.has(type), `no ${type} step ran`);
+    });
+    assert.equal(steps.filter((step) => step.path.startsWith("15.")).length, 3, "repeat ran three times");
+  });
+
+  test("the collected session passes the site's session check before the actions run", async () => {
+    assert.deepEqual(run.results.sessionChecks.map((result) => result.status), ["valid"]);
+    const meta = await fs.readJson(path.join(sessionDir, "meta.json"));
+    assert.equal(meta.sessionCheck.status, "valid");
+  });
+
+  test("the action worker restores the collector's session", async () => {
+    // The collector was the first visitor; the action worker's own first request
+    // gets a new id until the saved cookies are applied and the page reloads.
+    const extracted = await fs.readJson(path.join(sessionDir, "extracted.json"));
+    const visitor = extracted.find((record) => record.name === "visitor");
+    assert.equal(visitor.data, fixtures.visitors[0]);
+  });
+
+  test("the saved session carries the login and page storage", async () => {
+    const cookies = await fs.readJson(path.join(sessionDir, "cookies.json"));
+    const session = cookies.find((cookie) => cookie.name === "session");
+    assert.ok(session, "session cookie saved");
+    assert.equal(decodeURIComponent(session.value), EMAIL);
+    assert.equal(cookies.find((cookie) => cookie.name === "visitor").value, fixtures.visitors[0]);
+
+    const localStorage = await fs.readJson(path.join(sessionDir, "localStorage.json"));
+    assert.ok(Number(localStorage["fixture-visits"]) >= 1);
+    const meta = await fs.readJson(path.join(sessionDir, "meta.json"));
+    assert.ok(meta.fingerprint?.userAgent);
+    assert.equal(meta.diagnostics.pageErrors, 0);
+  });
+
+  test("IndexedDB is saved per origin and restored before the action worker's first page load", async () => {
+    const origin = new URL(fixtures.url).origin;
+    const origins = await fs.readJson(path.join(sessionDir, "origins.json"));
+    const database = origins[origin].indexedDB.find((entry) => entry.name === "fixture-db");
+    const [record] = database.stores.find((store) => store.name === "visitors").records;
+    assert.equal(record.value.visitor, fixtures.visitors[0]);
+    assert.equal(record.value.at.$t, "Date");
+    const meta = await fs.readJson(path.join(sessionDir, "meta.json"));
+    assert.deepEqual(meta.origins.find((entry) => entry.origin === origin).indexedDB, [{ name: "fixture-db", version: 1, stores: { visitors: 1 } }]);
+  });
+
+  test("extract steps inside forEach record one row per element", async () => {
+    const extracted = await fs.readJson(path.join(sessionDir, "extracted.json"));
+    const products = extracted.filter((record) => record.name === "product").map((record) => record.data);
+    assert.deepEqual(products, [
+      { name: "Alpha", price: "10", sku: "A-1" },
+      { name: "Beta", price: "20", sku: "B-2" },
+      { name: "Gamma", price: "30", sku: "C-3" }
+    ]);
+    const dataset = await fs.readJson(path.join(runDir(run.runId), "dataset.json"));
+    assert.equal(dataset.length, extracted.length);
+  });
+
+  test("session and run artifacts are written", async () => {
+    for (const file of ["snapshot.png", "account.png", "upload.png", "network.har", "sessionStorage.json"]) {
+      assert.ok(await fs.pathExists(path.join(sessionDir, file)), file);
+    }
+    const har = await fs.readJson(path.join(sessionDir, "network.har"));
+    assert.ok(har.log.entries.some((entry) => entry.request.url.endsWith("/api/feed?page=1")));
+    for (const file of ["results.json", "report.html", "report.json", "junit.xml", "run.log"]) {
+      assert.ok(await fs.pathExists(path.join(runDir(run.runId), file)), file);
+    }
+  });
+
+  test("the secret password never reaches the logs", async () => {
+    const runLog = await fs.readFile(path.join(runDir(run.runId), "run.log"), "utf-8");
+    assert.ok(!runLog.includes(FIXTURE_PASSWORD));
+    assert.ok(!run.outcome.output.includes(FIXTURE_PASSWORD));
+  });
+});
+
+describe("failing assertion", { skip }, () => {
+  let fixtures;
+  let run;
+
+  before(
+    async () => {
+      fixtures = await startFixtureServer();
+      run = await startRun(fixtures, "failure", {
+        steps: [
+          { type: "assertText", selector: "#visitor", equals: "nobody", timeoutMs: 500 },
+          { type: "screenshot", filename: "after-failure.png" }
+        ]
+      });
+    },
+    { timeout: 240000 }
+  );
+
+  after(async () => {
+    await fixtures?.close();
+    await removeRun(run);
+  });
+
+  test("marks the worker failed and keeps running the remaining steps", () => {
+    const [action] = run.results.actions;
+    assert.equal(action.status, "failed", run.outcome.output);
+    assert.deepEqual(action.steps.map((step) => step.status), ["failed", "passed"]);
+    assert.match(action.steps[0].error, /assertText failed: text expected "nobody"/);
+  });
+
+  test("captures failure artifacts and reports the failure in junit.xml", async () => {
+    const [action] = run.results.actions;
+    const failureDir = path.join(action.sessionDir, action.steps[0].failure.dir);
+    for (const file of ["failure.json", "screenshot.png", "dom.html", "console.json"]) {
+      assert.ok(await fs.pathExists(path.join(failureDir, file)), file);
+    }
+    const junit = await fs.readFile(path.join(runDir(run.runId), "junit.xml"), "utf-8");
+    assert.match(junit, /<failure /);
+  });
+});
+
+describe("stop during the action phase", { skip }, () => {
+  let fixtures;
+  let run;
+  let signalled = false;
+
+  before(
+    async () => {
+      fixtures = await startFixtureServer();
+      run = await startRun(fixtures, "stop", {
+        steps: [
+          { type: "wait", ms: 4000 },
+          { type: "screenshot", filename: "after-stop.png" }
+        ],
+        // SIGTERM (what `controller.js stop` sends) while the first step is in flight.
+        onOutput: (output, child) => {
+          if (!signalled && output.includes("executing 2 step(s)")) {
+            signalled = true;
+            child.kill("SIGTERM");
+          }
+        }
+      });
+    },
+    { timeout: 240000 }
+  );
+
+  after(async () => {
+    await fixtures?.close();
+    await removeRun(run);
+  });
+
+  test("the step in flight finishes, the rest is skipped and the session is saved", async () => {
+    assert.ok(signalled, run.outcome.output);
+    assert.equal(run.outcome.signal, null, run.outcome.output);
+    assert.equal(run.outcome.code, 0, run.outcome.output);
+    const [action] = run.results.actions;
+    assert.equal(action.status, "stopped", run.outcome.output);
+    assert.deepEqual(action.steps.map((step) => step.status), ["passed"]);
+    assert.ok(!(await fs.pathExists(path.join(action.sessionDir, "after-stop.png"))));
+
+    // The action worker's save replaced the collector's.
+    const meta = await fs.readJson(path.join(action.sessionDir, "meta.json"));
+    const collectorMeta = await fs.readJson(path.join(action.sessionDir, "saves", "collector", "meta.json"));
+    assert.ok(meta.timestamp > collectorMeta.timestamp);
+    const localStorage = await fs.readJson(path.join(action.sessionDir, "localStorage.json"));
+    assert.ok(Number(localStorage["fixture-visits"]) >= 2);
+  });
+});
@@ -0,0 +1,81 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { FIXTURE_PASSWORD, startFixtureServer } from "./fixtures/server.js";
+import { ROOT_DIR, runController, writeTestConfig } from "./helpers.js";
+import { e2eFlows, e2eSite, e2eSteps } from "./workflows.js";
+
+describe("fixture server", () => {
+  let fixtures;
+
+  before(async () => {
+    fixtures = await startFixtureServer();
+  });
+
+  after(() => fixtures.close());
+
+  test("assigns a visitor cookie and renders it server-side", async () => {
+    const response = await fetch(`${fixtures.url}/`);
+    assert.equal(response.status, 200);
+    const cookie = response.headers.get("set-cookie");
+    assert.match(cookie, /^visitor=visitor-1-/);
+    assert.equal(fixtures.visitors.length, 1);
+    assert.ok((await response.text()).includes(`<span id="visitor">${fixtures.visitors[0]}</span>`));
+
+    const again = await fetch(`${fixtures.url}/account.html`, { headers: { cookie: cookie.split(";")[0] } });
+    assert.equal(again.headers.get("set-cookie"), null);
+    assert.equal(fixtures.visitors.length, 1);
+  });
+
+  test("logs in only with the fixture password", async () => {
+    const post = (password) =>
+      fetch(`${fixtures.url}/login`, {
+        method: "POST",
+        redirect: "manual",
+        headers: { "content-type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ email: "tester@example.com", password })
+      });
+
+    const rejected = await post("wrong");
+    assert.equal(rejected.status, 302);
+    assert.equal(rejected.headers.get("location"), "/login.html?error=1");
+
+    const accepted = await post(FIXTURE_PASSWORD);
+    assert.equal(accepted.headers.get("location"), "/account.html");
+    const session = accepted.headers.get("set-cookie").split(";")[0];
+    const account = await (await fetch(`${fixtures.url}/account.html`, { headers: { cookie: session } })).text();
+    assert.ok(account.includes('<span id="user">tester@example.com</span>'));
+  });
+
+  test("pages the infinite scroll feed", async () => {
+    const first = await (await fetch(`${fixtures.url}/api/feed?page=0`)).json();
+    assert.equal(first.items.length, 10);
+    assert.equal(first.items[0], "Item 1");
+    assert.equal(first.hasMore, true);
+    const last = await (await fetch(`${fixtures.url}/api/feed?page=4`)).json();
+    assert.equal(last.hasMore, false);
+  });
+
+  test("serves every fixture page and nothing outside the site folder", async () => {
+    for (const page of ["login", "account", "widgets", "scroll", "delayed", "iframe", "frame", "dialogs", "upload"]) {
+      const response = await fetch(`${fixtures.url}/${page}.html`);
+      assert.equal(response.status, 200, `${page}.html`);
+    }
+    assert.equal((await fetch(`${fixtures.url}/missing.html`)).status, 404);
+    assert.equal((await fetch(`${fixtures.url}/..%2fserver.js`)).status, 404);
+  });
+});
+
+describe("e2e config", () => {
+  const configDir = path.join(ROOT_DIR, "tmp", `test-config-validate-${process.pid}`);
+
+  after(() => fs.remove(configDir));
+
+  test("the generated fixture config passes validate", async () => {
+    await writeTestConfig(configDir, { site: e2eSite("http://127.0.0.1:4300"), steps: e2eSteps, flows: e2eFlows });
+    const { code, output } = await runController(["validate"], { configDir, timeoutMs: 30000 });
+    assert.equal(code, 0, output);
+    assert.match(output, /config is valid/);
+  });
+});
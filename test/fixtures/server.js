@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+import http from "node:http";
+import path from "node:path";
+import fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const siteDir = path.join(__dirname, "site");
+
+export const FIXTURE_PASSWORD = "fixture-password";
+const FEED_PAGE_SIZE = 10;
+const FEED_PAGES = 5;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript",
+  ".css": "text/css"
+};
+
+function parseCookies(header = "") {
+  return Object.fromEntries(
+    header
+      .split(";")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const index = part.indexOf("=");
+        return [part.slice(0, index), decodeURIComponent(part.slice(index + 1))];
+      })
+  );
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+// Local pages for the end-to-end suite (login form, infinite scroll, delayed
+// elements, iframes, dialogs, file inputs). Every visitor without a cookie
+// gets a new `visitor` id, recorded in `visitors` so tests can tell which
+// browser a restored session came from. Resolves with { url, visitors, requests, close }.
+export async function startFixtureServer({ port = 0, host = "127.0.0.1" } = {}) {
+  const visitors = [];
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const cookies = parseCookies(req.headers.cookie);
+    requests.push({ method: req.method, path: url.pathname });
+
+    try {
+      if (req.method === "POST" && url.pathname === "/login") {
+        const form = new URLSearchParams(await readBody(req));
+        if (form.get("password") !== FIXTURE_PASSWORD) {
+          res.writeHead(302, { Location: "/login.html?error=1" });
+          res.end();
+          return;
+        }
+        res.writeHead(302, {
+          Location: "/account.html",
+          "Set-Cookie": `session=${encodeURIComponent(form.get("email") ?? "")}; Path=/; HttpOnly`
+        });
+        res.end();
+        return;
+      }
+
+      if (url.pathname === "/api/feed") {
+        const page = Number(url.searchParams.get("page") ?? 0);
+        const items =
+          page < FEED_PAGES
+            ? Array.from({ length: FEED_PAGE_SIZE }, (_, index) => `Item ${page * FEED_PAGE_SIZE + index + 1}`)
+            : [];
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ page, items, hasMore: page + 1 < FEED_PAGES }));
+        return;
+      }
+
+      if (url.pathname === "/favicon.ico") {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const file = url.pathname === "/" ? "index.html" : url.pathname.slice(1);
+      const filePath = path.join(siteDir, file);
+      if (!filePath.startsWith(siteDir + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+      }
+      let body = await fs.readFile(filePath).catch(() => null);
+      if (body === null) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("not found");
+        return;
+      }
+
+      const headers = { "Content-Type": CONTENT_TYPES[path.extname(filePath)] ?? "application/octet-stream" };
+      if (path.extname(filePath) === ".html") {
+        let visitor = cookies.visitor;
+        if (!visitor) {
+          visitor = `visitor-${visitors.length + 1}-${Date.now().toString(36)}`;
+          visitors.push(visitor);
+          headers["Set-Cookie"] = `visitor=${visitor}; Path=/; Max-Age=86400`;
+        }
+        // Rendered server-side so pages loaded with JavaScript disabled (collectors) show them too.
+        body = body
+          .toString("utf-8")
+          .replaceAll("%VISITOR%", escapeHtml(visitor))
+          .replaceAll("%USER%", escapeHtml(cookies.session ?? "anonymous"));
+      }
+      res.writeHead(200, headers);
+      res.end(body);
+    } catch (err) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(err.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}`,
+    visitors,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      })
+  };
+}
+
+// `node test/fixtures/server.js [port]` serves the pages for manual runs.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const fixtures = await startFixtureServer({ port: Number(process.argv[2] ?? 4300) });
+  console.log(`[fixtures] serving ${siteDir} at ${fixtures.url} (Ctrl+C to stop)`);
+}
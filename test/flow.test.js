@@ -0,0 +1,32 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateCondition, isControlStep, resolveFlow } from "../src/flow.js";
+
+const page = {
+  url: () => "https://shop.test/cart",
+  $: async (selector) => (selector === "#checkout" ? {} : null)
+};
+
+describe("flow control", () => {
+  test("conditions check elements, the URL and extract records, and can be negated", async () => {
+    const context = { extracted: [{ name: "cart", data: { items: [], total: "12.50" } }] };
+    const check = (condition) => evaluateCondition(page, condition, context);
+    assert.equal(await check({ exists: "#checkout" }), true);
+    assert.equal(await check({ exists: "#login", not: true }), true);
+    assert.equal(await check({ url: { contains: "/cart" } }), true);
+    assert.equal(await check({ url: { matches: "/orders$" } }), false);
+    assert.equal(await check({ extracted: "cart", path: "total", matches: "^\\d+\\.\\d{2}$" }), true);
+    assert.equal(await check({ extracted: "cart", path: "items" }), false);
+    assert.equal(await check({ extracted: "missing" }), false);
+    await assert.rejects(check({ title: "Cart" }), /requires exists, url or extracted/);
+    await assert.rejects(evaluateCondition(page, undefined, context), /requires a condition object/);
+  });
+
+  test("flows resolve by name up to the call depth limit", () => {
+    const flows = { login: [{ type: "click", selector: "#login" }] };
+    assert.deepEqual(resolveFlow(flows, "login", 0), flows.login);
+    assert.throws(() => resolveFlow(flows, "logout", 0), /Unknown flow: logout/);
+    assert.throws(() => resolveFlow(flows, "login", 10), /call depth exceeded 10/);
+    assert.deepEqual(["if", "repeat", "forEach", "call", "click"].map((type) => isControlStep({ type })), [true, true, true, true, false]);
+  });
+});
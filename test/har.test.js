@@ -0,0 +1,144 @@
+import { EventEmitter } from "node:events";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startHarRecording } from "../src/har.js";
+import { REDACTED, resolveSecret, secretEnvName } from "../src/secrets.js";
+
+// Stands in for the page's CDP session: tests emit the Network events Chrome would send.
+class FakeCdpSession extends EventEmitter {
+  constructor(bodies = {}) {
+    super();
+    this.bodies = bodies;
+  }
+
+  async send(method, params) {
+    if (method !== "Network.getResponseBody") return {};
+    if (!this.bodies[params.requestId]) throw new Error("No resource with given identifier found");
+    return this.bodies[params.requestId];
+  }
+
+  async detach() {}
+}
+
+function fakePage(client) {
+  return {
+    target: () => ({ createCDPSession: async () => client }),
+    browser: () => ({ version: async () => "HeadlessChrome/122.0.6261.0" }),
+    url: () => "https://shop.test/cart"
+  };
+}
+
+const sent = (requestId, url, timestamp, extra = {}) => ({
+  requestId,
+  request: { method: "GET", url, headers: {} },
+  type: "Document",
+  timestamp,
+  wallTime: 1893456000 + timestamp,
+  ...extra
+});
+
+describe("HAR recording", () => {
+  test("entries carry redacted headers and cookies, timings, redirects and failures", async () => {
+    const client = new FakeCdpSession();
+    const recording = await startHarRecording(fakePage(client), { har: { redactHeaders: ["Authorization", "Cookie"] } });
+
+    client.emit("Network.requestWillBeSent", sent("1", "https://shop.test/cart?item=7&qty=2", 100));
+    client.emit("Network.requestWillBeSentExtraInfo", { requestId: "1", headers: { Authorization: "Bearer abc", Cookie: "sid=abc; theme=dark" } });
+    client.emit("Network.responseReceived", {
+      requestId: "1",
+      type: "Document",
+      response: {
+        status: 200,
+        statusText: "OK",
+        protocol: "h2",
+        mimeType: "text/html",
+        headers: { "Content-Type": "text/html", "Set-Cookie": "sid=new; Path=/; HttpOnly; Secure\ntheme=light; SameSite=Lax" },
+        remoteIPAddress: "10.0.0.5",
+        timing: { requestTime: 100.01, dnsStart: 1, dnsEnd: 3, connectStart: 3, connectEnd: 10, sslStart: 5, sslEnd: 10, sendStart: 10, sendEnd: 11, receiveHeadersEnd: 41 }
+      }
+    });
+    client.emit("Network.dataReceived", { requestId: "1", dataLength: 300 });
+    client.emit("Network.dataReceived", { requestId: "1", dataLength: 212 });
+    client.emit("Network.loadingFinished", { requestId: "1", timestamp: 100.1, encodedDataLength: 400 });
+
+    client.emit("Network.requestWillBeSent", sent("2", "https://shop.test/old", 101));
+    client.emit("Network.requestWillBeSent", sent("2", "https://shop.test/new", 101.05, {
+      redirectResponse: { status: 301, statusText: "Moved", headers: { Location: "/new" }, mimeType: "text/html", encodedDataLength: 80 }
+    }));
+    client.emit("Network.requestWillBeSent", sent("3", "https://shop.test/track", 102));
+    client.emit("Network.loadingFailed", { requestId: "3", timestamp: 102.2, canceled: true });
+
+    const har = await recording.stop();
+    assert.deepEqual(har.log.browser, { name: "HeadlessChrome", version: "122.0.6261.0" });
+    const [page, redirect, failed] = har.log.entries;
+    assert.equal(har.log.entries.length, 3);
+
+    assert.equal(page.request.httpVersion, "HTTP/2");
+    assert.deepEqual(page.request.queryString, [{ name: "item", value: "7" }, { name: "qty", value: "2" }]);
+    assert.deepEqual(page.request.headers, [{ name: "Authorization", value: REDACTED }, { name: "Cookie", value: REDACTED }]);
+    assert.deepEqual(page.request.cookies, [{ name: "sid", value: REDACTED }, { name: "theme", value: REDACTED }]);
+    assert.deepEqual(page.response.cookies, [
+      { name: "sid", value: "new", path: "/", httpOnly: true, secure: true },
+      { name: "theme", value: "light", sameSite: "Lax" }
+    ]);
+    assert.equal(page.response.headers.filter((header) => header.name === "Set-Cookie").length, 2);
+    assert.deepEqual(page.response.content, { size: 512, mimeType: "text/html" });
+    assert.equal(page.response.bodySize, 400);
+    assert.equal(page.serverIPAddress, "10.0.0.5");
+    const rounded = Object.fromEntries(Object.entries(page.timings).map(([phase, ms]) => [phase, Math.round(ms)]));
+    assert.deepEqual(rounded, { blocked: 11, dns: 2, connect: 7, ssl: 5, send: 1, wait: 30, receive: 49 });
+    assert.equal(Math.round(page.time), 100);
+
+    assert.equal(redirect.request.url, "https://shop.test/old");
+    assert.equal(redirect.response.status, 301);
+    assert.equal(redirect.response.redirectURL, "/new");
+    assert.equal(failed.response.status, 0);
+    assert.equal(failed.response._error, "canceled");
+  });
+
+  test("secrets are hidden in form posts, URLs and query strings in their encoded forms", async () => {
+    process.env[secretEnvName("har-test.password")] = "p@ss w0rd!&x";
+    await resolveSecret("har-test.password", {});
+    const client = new FakeCdpSession();
+    const recording = await startHarRecording(fakePage(client), {});
+    client.emit("Network.requestWillBeSent", sent("1", "https://shop.test/login?next=%2F&token=p%40ss%20w0rd!%26x", 100, {
+      request: {
+        method: "POST",
+        url: "https://shop.test/login?next=%2F&token=p%40ss%20w0rd!%26x",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        postData: "email=a%40shop.test&password=p%40ss+w0rd%21%26x"
+      }
+    }));
+    client.emit("Network.loadingFailed", { requestId: "1", timestamp: 100.1, errorText: "net::ERR_ABORTED" });
+
+    const [entry] = (await recording.stop()).log.entries;
+    delete process.env[secretEnvName("har-test.password")];
+    assert.equal(entry.request.postData.text, `email=a%40shop.test&password=${REDACTED}`);
+    assert.equal(entry.request.url, `https://shop.test/login?next=%2F&token=${REDACTED}`);
+    assert.deepEqual(entry.request.queryString, [{ name: "next", value: "/" }, { name: "token", value: REDACTED }]);
+    assert.ok(!/p%40ss|p@ss/.test(JSON.stringify(entry)));
+  });
+
+  test("bodies are kept only with includeBodies and within maxBodyBytes", async () => {
+    const client = new FakeCdpSession({
+      small: { body: "<p>hi</p>", base64Encoded: false },
+      image: { body: Buffer.from([137, 80, 78, 71]).toString("base64"), base64Encoded: true }
+    });
+    const recording = await startHarRecording(fakePage(client), { har: { includeBodies: true, maxBodyBytes: 100 } });
+    const finish = (requestId, encodedDataLength) => {
+      client.emit("Network.requestWillBeSent", sent(requestId, `https://shop.test/${requestId}`, 100));
+      client.emit("Network.responseReceived", { requestId, response: { status: 200, headers: {}, mimeType: "text/html" } });
+      client.emit("Network.loadingFinished", { requestId, timestamp: 100.1, encodedDataLength });
+    };
+    finish("small", 9);
+    finish("image", 4);
+    finish("large", 5000);
+    finish("evicted", 10);
+
+    const contents = Object.fromEntries((await recording.stop()).log.entries.map((entry) => [entry.request.url.split("/").pop(), entry.response.content]));
+    assert.equal(contents.small.text, "<p>hi</p>");
+    assert.deepEqual([contents.image.text, contents.image.encoding], ["iVBORw==", "base64"]);
+    assert.equal(contents.large.comment, "body omitted: larger than maxBodyBytes (100)");
+    assert.match(contents.evicted.comment, /^body unavailable: No resource/);
+  });
+});
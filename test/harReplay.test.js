@@ -0,0 +1,52 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHarReplay, loadHarArchive } from "../src/harReplay.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const baseDir = path.join(ROOT_DIR, "tmp", `test-har-replay-${process.pid}`);
+
+const entry = (url, status, content) => ({
+  request: { method: "GET", url, headers: [] },
+  response: { status, headers: [{ name: "Content-Type", value: content.mimeType ?? "text/plain" }], content }
+});
+
+async function writeHar(name, entries) {
+  const filePath = path.join(baseDir, name);
+  await fs.outputJson(filePath, { log: { version: "1.2", entries } });
+  return filePath;
+}
+
+const fakeRequest = (url) => ({ method: () => "GET", url: () => url, resourceType: () => "document" });
+
+describe("HAR replay", () => {
+  after(() => fs.remove(baseDir));
+
+  test("archives recorded without response bodies are refused", async () => {
+    const harPath = await writeHar("no-bodies.har", [
+      entry("https://shop.test/", 200, { size: 120, mimeType: "text/html", comment: "body omitted: har.includeBodies is off" }),
+      entry("https://shop.test/old", 301, { size: 0 })
+    ]);
+    await assert.rejects(loadHarArchive(harPath), /has no response bodies.*includeBodies/);
+  });
+
+  test("recorded bodies replay in order and missing ones replay empty", async () => {
+    const harPath = await writeHar("partial.har", [
+      entry("https://shop.test/", 200, { size: 5, mimeType: "text/html", text: "first" }),
+      entry("https://shop.test/", 200, { size: 6, mimeType: "text/html", text: Buffer.from("second").toString("base64"), encoding: "base64" }),
+      entry("https://shop.test/big.js", 200, { size: 9000000, comment: "body omitted: larger than har.maxBodyBytes" }),
+      entry("https://shop.test/down", 0, { size: 0 })
+    ]);
+    const replay = createHarReplay(await loadHarArchive(harPath));
+    assert.equal(replay.lookup(fakeRequest("https://shop.test/#top")).response.body, "first");
+    assert.equal(replay.lookup(fakeRequest("https://shop.test/")).response.body.toString(), "second");
+    assert.equal(replay.lookup(fakeRequest("https://shop.test/")).response.body.toString(), "second");
+    assert.equal(replay.lookup(fakeRequest("https://shop.test/big.js")).response.body, "");
+    assert.deepEqual(replay.lookup(fakeRequest("https://shop.test/down")), { abort: "failed" });
+    assert.equal(replay.lookup(fakeRequest("https://shop.test/missing")), null);
+    const summary = replay.summary();
+    assert.equal(summary.matched, 5);
+    assert.equal(summary.unmatched, 1);
+  });
+});
@@ -0,0 +1,80 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import puppeteer from "puppeteer";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT_DIR = path.join(__dirname, "..");
+export const TEST_SESSIONS_DIR = "./tmp/test-sessions";
+
+// The e2e suites skip themselves on machines without a Chrome for Puppeteer.
+export function browserUnavailableReason() {
+  let executable = null;
+  try {
+    executable = puppeteer.executablePath();
+  } catch {
+    // Thrown when the managed Chrome was never downloaded.
+  }
+  if (executable && fs.existsSync(executable)) return null;
+  return 'Chrome for Puppeteer is not installed (run "npx puppeteer browsers install chrome")';
+}
+
+// Writes a complete config folder for PUPETER_CONFIG_DIR: the repo's
+// settings.json with test overrides, one site and its action steps.
+export async function writeTestConfig(configDir, { site, steps, flows = {}, settings = {} }) {
+  const baseSettings = await fs.readJson(path.join(ROOT_DIR, "config", "settings.json"));
+  await fs.mkdir(configDir, { recursive: true });
+  await fs.writeJson(path.join(configDir, "settings.json"), {
+    ...baseSettings,
+    sessionsDir: TEST_SESSIONS_DIR,
+    userDataDirBase: "./tmp/test-user-data",
+    collectorIdleDelayRange: [50, 100],
+    staggerDelayMs: 0,
+    enableScheduling: false,
+    sessionRetentionHours: 0,
+    blockResources: { images: false, media: false, thirdParty: false },
+    networkRules: [],
+    collectorHarEnabled: true,
+    actionHarEnabled: true,
+    ...settings
+  }, { spaces: 2 });
+  await fs.writeJson(path.join(configDir, "sites.json"), [site], { spaces: 2 });
+  await fs.writeJson(path.join(configDir, "actions.json"), { [site.id]: steps }, { spaces: 2 });
+  await fs.writeJson(path.join(configDir, "flows.json"), flows, { spaces: 2 });
+}
+
+// Runs `controller.js <args>` against a config folder; resolves with the exit
+// code and combined output. The child is killed when it overruns timeoutMs.
+// onOutput(output, child) sees the output so far after every chunk.
+export function runController(args, { configDir, env = {}, timeoutMs = 180000, onOutput = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, "src", "controller.js"), ...args], {
+      cwd: ROOT_DIR,
+      env: { ...process.env, PUPETER_CONFIG_DIR: configDir, ...env },
+      stdio: ["ignore", "pipe", "pipe"]
+    });
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      onOutput?.(output, child);
+    });
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+      onOutput?.(output, child);
+    });
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("exit", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, output });
+    });
+  });
+}
+
+export function runDir(runId) {
+  return path.resolve(ROOT_DIR, TEST_SESSIONS_DIR, runId);
+}
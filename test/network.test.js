@@ -0,0 +1,34 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildNetworkRules, findMatchingRule, globToRegExp } from "../src/network.js";
+
+const request = (url, method = "GET", resourceType = "document") => ({ url: () => url, method: () => method, resourceType: () => resourceType });
+
+describe("network rules", () => {
+  test("globs: ** crosses slashes, * stays in a segment, ? is one character", () => {
+    assert.ok(globToRegExp("**/api/**").test("https://shop.test/v1/api/orders/7"));
+    assert.ok(globToRegExp("https://shop.test/*.js").test("https://shop.test/app.js"));
+    assert.ok(!globToRegExp("https://shop.test/*.js").test("https://shop.test/static/app.js"));
+    assert.ok(globToRegExp("https://shop.test/v?/items").test("https://shop.test/v2/items"));
+    assert.ok(!globToRegExp("https://shop.test/a.b(c)").test("https://shop.test/aXb(c)"));
+    assert.ok(!globToRegExp("**/api/**").test("https://shop.test/api"));
+  });
+
+  test("site rules come before global ones and every given criterion must match", () => {
+    const site = {
+      id: "shop",
+      networkRules: [
+        { url: "**/api/orders*", method: ["post", "PUT"], action: "abort" },
+        { urlRegex: "\\.(png|jpg)$", resourceType: "image", action: "abort" }
+      ]
+    };
+    const settings = { networkRules: [{ url: "**/api/**", action: "fulfill", json: {} }, { action: "continue" }] };
+    const rules = buildNetworkRules(site, settings);
+    const match = (...args) => findMatchingRule(rules, request(...args))?.source;
+    assert.equal(match("https://shop.test/api/orders", "POST", "fetch"), "shop[0]");
+    assert.equal(match("https://shop.test/api/orders", "GET", "fetch"), "settings[0]");
+    assert.equal(match("https://cdn.test/logo.png", "GET", "image"), "shop[1]");
+    assert.equal(match("https://cdn.test/logo.png", "GET", "fetch"), "settings[1]");
+    assert.equal(findMatchingRule(buildNetworkRules({ id: "shop" }, {}), request("https://shop.test/")), null);
+  });
+});
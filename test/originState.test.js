@@ -0,0 +1,75 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeStoredValue, describeOriginState, encodeStoredValue, originOf } from "../src/originState.js";
+import { restoreSession } from "../src/sessionManager.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const baseDir = path.join(ROOT_DIR, "tmp", `test-origin-state-${process.pid}`);
+
+const roundTrip = async (value) => decodeStoredValue(JSON.parse(JSON.stringify(await encodeStoredValue(value))));
+
+describe("origin state", () => {
+  after(() => fs.remove(baseDir));
+
+  test("IndexedDB values survive the trip through JSON", async () => {
+    const value = {
+      token: "abc",
+      count: 3,
+      missing: undefined,
+      notANumber: NaN,
+      big: 12345678901234567890n,
+      issued: new Date("2030-01-01T00:00:00Z"),
+      pattern: /^a.c$/gi,
+      roles: new Set(["admin", "user"]),
+      scopes: new Map([[1, { read: true }]]),
+      bytes: new Uint8Array([1, 2, 255]),
+      buffer: new Uint16Array([513]).buffer,
+      nested: [{ $t: "not a tag" }, null]
+    };
+    const restored = await roundTrip(value);
+    assert.deepEqual(restored, value);
+    assert.ok(Object.hasOwn(restored, "missing"));
+
+    const blob = await roundTrip(new File(["hello"], "note.txt", { type: "text/plain" }));
+    assert.equal(blob.name, "note.txt");
+    assert.equal(blob.type, "text/plain");
+    assert.equal(await blob.text(), "hello");
+    assert.throws(() => decodeStoredValue({ $t: "Function", v: "" }), /unknown stored value type/);
+  });
+
+  test("the manifest counts what each origin holds without its values", () => {
+    const state = {
+      localStorage: { theme: "dark", token: "secret" },
+      sessionStorage: {},
+      indexedDB: [{ name: "auth", version: 2, stores: [{ name: "tokens", records: [{ key: "a", value: "secret" }] }] }],
+      cacheStorage: [{ name: "shell", entries: [], skipped: 2 }]
+    };
+    const manifest = describeOriginState("https://sso.example.test", state);
+    assert.deepEqual(manifest, {
+      origin: "https://sso.example.test",
+      localStorage: 2,
+      sessionStorage: 0,
+      indexedDB: [{ name: "auth", version: 2, stores: { tokens: 1 } }],
+      cacheStorage: [{ name: "shell", entries: 0, skipped: 2 }]
+    });
+    assert.ok(!JSON.stringify(manifest).includes("secret"));
+    assert.deepEqual(["https://a.test:8443/x?y", "about:blank", "data:text/html,x", "not a url"].map(originOf), ["https://a.test:8443", null, null, null]);
+  });
+
+  test("sessions saved before origins.json restore without reporting it missing", async () => {
+    const sessionDir = path.join(baseDir, "old-session");
+    await fs.mkdir(sessionDir, { recursive: true });
+    await fs.writeJson(path.join(sessionDir, "cookies.json"), []);
+    await fs.writeJson(path.join(sessionDir, "localStorage.json"), {});
+    await fs.writeJson(path.join(sessionDir, "sessionStorage.json"), {});
+    await fs.writeJson(path.join(sessionDir, "meta.json"), {});
+    const session = await restoreSession(sessionDir, {});
+    assert.deepEqual(session.origins, {});
+    assert.deepEqual(session.problems, []);
+
+    await fs.writeJson(path.join(sessionDir, "origins.json"), { "https://a.test": { localStorage: { k: "v" } } });
+    assert.deepEqual((await restoreSession(sessionDir, {})).origins, { "https://a.test": { localStorage: { k: "v" } } });
+  });
+});
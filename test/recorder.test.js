@@ -0,0 +1,51 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { eventsToSteps } from "../src/recorder.js";
+
+const site = { id: "fixtures", startUrl: "http://127.0.0.1:4300/" };
+
+describe("recorder events to steps", () => {
+  test("turns a login into click-free typing, a key press and a URL check", () => {
+    const steps = eventsToSteps(
+      [
+        { kind: "click", selector: "#nav-login" },
+        { kind: "navigate", url: "http://127.0.0.1:4300/login.html" },
+        { kind: "click", selector: "#email" },
+        { kind: "type", selector: "#email", value: "tester@example.com" },
+        { kind: "click", selector: "#password" },
+        { kind: "type", selector: "#password", value: "hunter2", sensitive: true },
+        { kind: "key", key: "Enter" },
+        { kind: "navigate", url: "http://127.0.0.1:4300/login" },
+        { kind: "navigate", url: "http://127.0.0.1:4300/account.html?tab=1" }
+      ],
+      site
+    );
+    assert.deepEqual(steps, [
+      { type: "click", selector: "#nav-login" },
+      { type: "assertUrl", contains: "/login.html" },
+      { type: "type", selector: "#email", text: "tester@example.com", clear: true },
+      { type: "type", selector: "#password", text: { secret: "fixtures.password" }, clear: true },
+      { type: "key", key: "Enter" },
+      { type: "assertUrl", contains: "/account.html?tab=1" }
+    ]);
+  });
+
+  test("keeps the last value typed into a field and merges scrolls", () => {
+    const steps = eventsToSteps(
+      [
+        { kind: "type", selector: "#q", value: "cat" },
+        { kind: "type", selector: "#q", value: "cats" },
+        { kind: "scroll", distance: 400 },
+        { kind: "scroll", distance: 300 },
+        { kind: "scroll", distance: -700 },
+        { kind: "select", selector: "#sort", value: "new" },
+        { kind: "key", key: "Control+KeyK" }
+      ],
+      site
+    );
+    assert.deepEqual(steps, [
+      { type: "type", selector: "#q", text: "cats", clear: true },
+      { type: "key", key: "Control+KeyK" }
+    ]);
+  });
+});
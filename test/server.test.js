@@ -0,0 +1,97 @@
+import http from "node:http";
+import path from "node:path";
+import fs from "fs-extra";
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createControlServer } from "../src/server.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const baseDir = path.join(ROOT_DIR, "tmp", `test-server-${process.pid}`);
+
+describe("control API run requests", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await fs.mkdir(baseDir, { recursive: true });
+    await fs.symlink("/etc/hostname", path.join(baseDir, "outside.csv"));
+    server = createControlServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.remove(baseDir);
+  });
+
+  const startRun = async (body, headers = {}) => {
+    const res = await fetch(`${baseUrl}/api/runs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  test("data and HAR files outside the project folder are refused", async () => {
+    const outside = [
+      { data: "/etc/hostname" },
+      { data: "../../etc/hostname" },
+      { replayHar: "config/../../../etc/hostname" },
+      { data: path.relative(ROOT_DIR, path.join(baseDir, "outside.csv")) }
+    ];
+    for (const body of outside) {
+      const response = await startRun(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.match(response.body.error, /inside the project folder/);
+    }
+    const missing = await startRun({ data: "tmp/no-such-file.csv" });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /not found/);
+  });
+
+  test("cross-site requests and bodies that are not JSON are refused", async () => {
+    for (const contentType of ["text/plain", "application/x-www-form-urlencoded", "multipart/form-data; boundary=x"]) {
+      const res = await fetch(`${baseUrl}/api/stop`, { method: "POST", headers: { "Content-Type": contentType }, body: '{"force":true}' });
+      assert.equal(res.status, 415, contentType);
+    }
+    const bare = await fetch(`${baseUrl}/api/stop`, { method: "POST" });
+    assert.equal(bare.status, 415);
+
+    const port = server.address().port;
+    for (const origin of ["http://evil.test", `http://evil.test:${port}`, "null", `https://127.0.0.1:${port}`]) {
+      const response = await startRun({ runId: "library" }, { Origin: origin });
+      assert.equal(response.status, 403, origin);
+      const status = await fetch(`${baseUrl}/api/status`, { headers: { Origin: origin } });
+      assert.equal(status.status, 403, origin);
+    }
+    // A rebound name matches the Host header it sends but is not this machine.
+    const reboundStatus = await new Promise((resolve, reject) => {
+      http
+        .get(`${baseUrl}/api/status`, { headers: { Origin: `http://evil.test:${port}`, Host: `evil.test:${port}` } }, (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        })
+        .on("error", reject);
+    });
+    assert.equal(reboundStatus, 403);
+    const own = await startRun({ runId: "library" }, { Origin: baseUrl });
+    assert.equal(own.status, 400);
+  });
+
+  test("run ids may not name the session library", async () => {
+    const response = await startRun({ runId: "library" });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /reserved for the session library/);
+    const read = await fetch(`${baseUrl}/api/runs/library`);
+    assert.equal(read.status, 400);
+  });
+
+  test("session references must be <run-id>/<profileId>", async () => {
+    for (const session of ["../../etc", "library/..", "a/b/c", ["library/ok", "x"]]) {
+      const response = await startRun({ session });
+      assert.equal(response.status, 400, JSON.stringify(session));
+    }
+  });
+});
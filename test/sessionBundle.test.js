@@ -0,0 +1,69 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { gzipSync } from "node:zlib";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { exportSession, importSession } from "../src/sessionBundle.js";
+import { ROOT_DIR, runController, writeTestConfig } from "./helpers.js";
+
+const baseDir = path.join(ROOT_DIR, "tmp", `test-session-bundle-${process.pid}`);
+const settings = { sessionsDir: path.join(baseDir, "sessions") };
+
+describe("session bundles", () => {
+  after(() => fs.remove(baseDir));
+
+  test("export and import carry cookies, storage, meta and screenshots only", async () => {
+    const sourceDir = path.join(settings.sessionsDir, "run-a", "0001");
+    await fs.mkdir(path.join(sourceDir, "failures"), { recursive: true });
+    await fs.writeJson(path.join(sourceDir, "cookies.json"), [{ name: "session", value: "x" }]);
+    await fs.writeJson(path.join(sourceDir, "localStorage.json"), { theme: "dark" });
+    await fs.writeJson(path.join(sourceDir, "meta.json"), { siteId: "fixtures", startUrl: "http://127.0.0.1/" });
+    await fs.writeFile(path.join(sourceDir, "snapshot.png"), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    await fs.writeJson(path.join(sourceDir, "network.har"), { log: { entries: [] } });
+
+    const bundleFile = path.join(baseDir, "run-a-0001.session.json.gz");
+    assert.deepEqual(await exportSession(settings, "run-a/0001", bundleFile), ["cookies.json", "localStorage.json", "meta.json", "snapshot.png"]);
+
+    const imported = await importSession(settings, bundleFile, "library/admin-login");
+    assert.equal(imported.sessionDir, path.join(settings.sessionsDir, "library", "admin-login"));
+    assert.deepEqual(await fs.readJson(path.join(imported.sessionDir, "cookies.json")), [{ name: "session", value: "x" }]);
+    assert.deepEqual(await fs.readFile(path.join(imported.sessionDir, "snapshot.png")), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    assert.ok(!(await fs.pathExists(path.join(imported.sessionDir, "network.har"))));
+
+    await assert.rejects(importSession(settings, bundleFile, "library/admin-login"), /already exists/);
+    const intoRun = await importSession(settings, bundleFile, "run-b");
+    assert.equal(intoRun.reference, "run-b/0001");
+  });
+
+  test("start --session keeps the stored session's run out of retention pruning", async () => {
+    const runSettings = { sessionsDir: path.join(baseDir, "run-sessions"), sessionRetentionHours: 48 };
+    const site = { id: "fixtures", startUrl: "http://127.0.0.1:9/" };
+    const configDir = path.join(baseDir, "config");
+    await writeTestConfig(configDir, { site, steps: [], settings: runSettings });
+    const threeDaysAgo = new Date(Date.now() - 72 * 3600000);
+    for (const run of ["run-old", "run-stale"]) {
+      const sessionDir = path.join(runSettings.sessionsDir, run, "0001");
+      await fs.mkdir(sessionDir, { recursive: true });
+      await fs.writeJson(path.join(sessionDir, "cookies.json"), [{ name: "session", value: run }]);
+      await fs.writeJson(path.join(sessionDir, "localStorage.json"), {});
+      await fs.writeJson(path.join(sessionDir, "meta.json"), { siteId: site.id, startUrl: site.startUrl });
+      await fs.utimes(path.join(runSettings.sessionsDir, run), threeDaysAgo, threeDaysAgo);
+    }
+
+    const { code, output } = await runController(["start", "--session=run-old/0001", "--visible=0", "--run-id=run-reuse"], {
+      configDir,
+      timeoutMs: 60000
+    });
+    assert.equal(code, 0, output);
+    assert.deepEqual(await fs.readJson(path.join(runSettings.sessionsDir, "run-reuse", "run-old-0001", "cookies.json")), [{ name: "session", value: "run-old" }]);
+    assert.ok(await fs.pathExists(path.join(runSettings.sessionsDir, "run-old", "0001")));
+    assert.ok(!(await fs.pathExists(path.join(runSettings.sessionsDir, "run-stale"))));
+  });
+
+  test("bundles naming files outside the session folder are refused", async () => {
+    const bundleFile = path.join(baseDir, "evil.session.json.gz");
+    const files = { "meta.json": Buffer.from("{}").toString("base64"), "../../escape.png": "" };
+    await fs.writeFile(bundleFile, gzipSync(JSON.stringify({ format: "pupeter-session", version: 1, source: "run-a/0001", files })));
+    await assert.rejects(importSession(settings, bundleFile, "library/evil"), /unexpected file "\.\.\/\.\.\/escape\.png"/);
+  });
+});
@@ -0,0 +1,45 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { checkSession } from "../src/sessionCheck.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const NOW = Date.parse("2030-01-01T12:00:00Z");
+const baseDir = path.join(ROOT_DIR, "tmp", `test-session-check-${process.pid}`);
+const site = { id: "fixtures", startUrl: "http://127.0.0.1:4300/", sessionCheck: { cookie: "session", minValidMinutes: 60 } };
+
+async function writeSession(name, cookies) {
+  const sessionDir = path.join(baseDir, name);
+  await fs.mkdir(sessionDir, { recursive: true });
+  if (cookies) await fs.writeJson(path.join(sessionDir, "cookies.json"), cookies);
+  await fs.writeJson(path.join(sessionDir, "localStorage.json"), {});
+  await fs.writeJson(path.join(sessionDir, "meta.json"), { startUrl: site.startUrl, fingerprint: {} });
+  return sessionDir;
+}
+
+const check = (sessionDir) => checkSession({ site, settings: {}, sessionDir, profileId: "0001", runId: "test", now: NOW });
+const expiresIn = (minutes) => (NOW + minutes * 60000) / 1000;
+
+describe("session checks", () => {
+  after(() => fs.remove(baseDir));
+
+  test("a cookie check tells valid, expired and broken sessions apart", async () => {
+    const valid = await check(await writeSession("valid", [{ name: "session", value: "x", expires: expiresIn(120) }]));
+    const closeToExpiry = await check(await writeSession("soon", [{ name: "session", value: "x", expires: expiresIn(30) }]));
+    const expired = await check(await writeSession("expired", [{ name: "session", value: "x", expires: expiresIn(-5) }]));
+    const missing = await check(await writeSession("missing", [{ name: "visitor", value: "x", expires: -1 }]));
+    assert.deepEqual([valid, closeToExpiry, expired, missing].map((result) => result.status), ["valid", "expired", "expired", "broken"]);
+    assert.match(closeToExpiry.reason, /expires in 30 min/);
+  });
+
+  test("missing session files make the session broken, recorded in meta.json", async () => {
+    const sessionDir = await writeSession("no-cookies", null);
+    const result = await check(sessionDir);
+    assert.equal(result.status, "broken");
+    assert.match(result.reason, /cookies\.json missing/);
+    const meta = await fs.readJson(path.join(sessionDir, "meta.json"));
+    assert.equal(meta.sessionCheck.status, "broken");
+    assert.equal(meta.startUrl, site.startUrl);
+  });
+});
@@ -0,0 +1,59 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SESSION_KEY_ENV, rekeySessions, restoreSession, writeSessionFile } from "../src/sessionManager.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const sessionsDir = path.join(ROOT_DIR, "tmp", `test-session-encryption-${process.pid}`);
+const sessionDir = path.join(sessionsDir, "run-test", "0001");
+const settings = { sessionsDir, sessionEncryption: { enabled: true } };
+const cookies = [{ name: "session", value: "admin-token", domain: "127.0.0.1" }];
+
+async function writeSession(writeSettings) {
+  await fs.mkdir(sessionDir, { recursive: true });
+  await writeSessionFile(sessionDir, "cookies.json", cookies, writeSettings);
+  await writeSessionFile(sessionDir, "localStorage.json", { theme: "dark" }, writeSettings);
+  await fs.writeJson(path.join(sessionDir, "meta.json"), { startUrl: "http://127.0.0.1/" });
+}
+
+describe("encrypted sessions", () => {
+  beforeEach(async () => {
+    await fs.remove(sessionsDir);
+    process.env[SESSION_KEY_ENV] = "first key";
+  });
+  after(() => fs.remove(sessionsDir));
+
+  test("cookies and storage are written encrypted and restored transparently", async () => {
+    await writeSession(settings);
+    assert.ok(!(await fs.pathExists(path.join(sessionDir, "cookies.json"))));
+    const raw = await fs.readFile(path.join(sessionDir, "cookies.enc.json"), "utf-8");
+    assert.ok(!raw.includes("admin-token"));
+
+    const session = await restoreSession(sessionDir, settings);
+    assert.deepEqual(session.cookies, cookies);
+    assert.deepEqual(session.localStorage, { theme: "dark" });
+  });
+
+  test("restoring without the key is an error, not an empty session", async () => {
+    await writeSession(settings);
+    delete process.env[SESSION_KEY_ENV];
+    await assert.rejects(restoreSession(sessionDir, settings), /no session key is set: export PUPETER_SESSION_KEY/);
+    process.env[SESSION_KEY_ENV] = "wrong key";
+    await assert.rejects(restoreSession(sessionDir, settings), /cannot decrypt .*cookies\.enc\.json: wrong session key/);
+  });
+
+  test("rekey moves every session to the new key and encrypts plain ones", async () => {
+    await writeSession(settings);
+    await writeSessionFile(sessionDir, "sessionStorage.json", { step: "2" }, {});
+
+    const summary = await rekeySessions(settings, "second key");
+    assert.deepEqual(summary, { sessions: 1, reencrypted: 2, encrypted: 1, alreadyRekeyed: 0 });
+
+    process.env[SESSION_KEY_ENV] = "second key";
+    const session = await restoreSession(sessionDir, settings);
+    assert.deepEqual(session.cookies, cookies);
+    assert.deepEqual(session.sessionStorage, { step: "2" });
+    assert.ok(!(await fs.pathExists(path.join(sessionDir, "sessionStorage.json"))));
+  });
+});
@@ -0,0 +1,69 @@
+import path from "node:path";
+import fs from "fs-extra";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSessionStates, filterSessions, parseAge } from "../src/sessionInspect.js";
+import { collectSessions, pruneOldSessions } from "../src/sessionManager.js";
+import { ROOT_DIR } from "./helpers.js";
+
+const baseDir = path.join(ROOT_DIR, "tmp", `test-session-inspect-${process.pid}`);
+const settings = { sessionsDir: path.join(baseDir, "sessions") };
+const NOW = Date.parse("2030-01-10T00:00:00Z");
+
+async function writeSession(reference, meta) {
+  const sessionDir = path.join(settings.sessionsDir, ...reference.split("/"));
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeJson(path.join(sessionDir, "cookies.json"), []);
+  await fs.writeJson(path.join(sessionDir, "localStorage.json"), {});
+  await fs.writeJson(path.join(sessionDir, "meta.json"), meta);
+}
+
+describe("session inspection", () => {
+  after(() => fs.remove(baseDir));
+
+  test("sessions filter by site, status, run and age", async () => {
+    await writeSession("run-a/0001", { siteId: "shop", timestamp: "2030-01-01T00:00:00Z", sessionCheck: { status: "expired" } });
+    await writeSession("run-b/0001", { siteId: "shop", timestamp: "2030-01-09T00:00:00Z", sessionCheck: { status: "valid" } });
+    await writeSession("run-b/0002", { siteId: "blog", timestamp: "2030-01-09T12:00:00Z" });
+    await writeSession("library/shop-admin", { siteId: "shop", timestamp: "2029-12-01T00:00:00Z" });
+
+    const sessions = await collectSessions(settings);
+    assert.deepEqual(sessions.map((session) => session.reference), ["run-b/0002", "run-b/0001", "run-a/0001", "library/shop-admin"]);
+    const references = (filters) => filterSessions(sessions, filters, NOW).map((session) => session.reference);
+    assert.deepEqual(references({ site: "shop", status: "valid" }), ["run-b/0001"]);
+    assert.deepEqual(references({ status: "unchecked" }), ["run-b/0002", "library/shop-admin"]);
+    assert.deepEqual(references({ run: "run-b", newerThan: "18h" }), ["run-b/0002"]);
+    assert.deepEqual(references({ olderThan: "1w" }), ["run-a/0001", "library/shop-admin"]);
+    assert.equal(parseAge("90m"), 5400000);
+    assert.throws(() => parseAge("3 days"), /invalid age/);
+    assert.throws(() => references({ status: "stale" }), /unknown status/);
+  });
+
+  test("keep-last-per-site pruning spares the library and skipped runs, and dry runs remove nothing", async () => {
+    const removals = await pruneOldSessions(settings, { keepLastPerSite: 1, dryRun: true });
+    assert.deepEqual(removals.map((removal) => removal.target), ["run-a/0001"]);
+    assert.ok(await fs.pathExists(path.join(settings.sessionsDir, "run-a", "0001")));
+
+    const skipped = await pruneOldSessions(settings, { keepLastPerSite: 1, skipRuns: ["run-b"] });
+    assert.deepEqual(skipped, []);
+    await pruneOldSessions(settings, { keepLastPerSite: 1 });
+    assert.ok(!(await fs.pathExists(path.join(settings.sessionsDir, "run-a", "0001"))));
+    assert.ok(await fs.pathExists(path.join(settings.sessionsDir, "library", "shop-admin")));
+  });
+
+  test("diffs match cookies on name, domain and path and storage on key", () => {
+    const cookie = (name, value, extra = {}) => ({ name, value, domain: "shop.test", path: "/", expires: -1, ...extra });
+    const before = { cookies: [cookie("session", "a"), cookie("consent", "yes")], localStorage: { cart: "1", theme: "dark" }, sessionStorage: {} };
+    const after = {
+      cookies: [cookie("session", "b", { httpOnly: true }), cookie("session", "c", { path: "/admin" })],
+      localStorage: { cart: "2", theme: "dark" },
+      sessionStorage: { tab: "x" }
+    };
+    const diff = diffSessionStates(before, after);
+    assert.deepEqual(diff.cookies.added.map((entry) => entry.key), ["session (shop.test/admin)"]);
+    assert.deepEqual(diff.cookies.removed.map((entry) => entry.key), ["consent (shop.test/)"]);
+    assert.deepEqual(diff.cookies.changed.map((entry) => [entry.key, entry.fields]), [["session (shop.test/)", ["value", "httpOnly"]]]);
+    assert.deepEqual(diff.localStorage.changed.map((entry) => entry.key), ["cart"]);
+    assert.deepEqual(diff.sessionStorage.added.map((entry) => entry.key), ["tab"]);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { findExtracted, interpolate, readPath } from "../src/template.js";
+
+describe("step templates", () => {
+  test("placeholders read vars, dotted paths, extract records and the environment", () => {
+    process.env.PUPETER_TEMPLATE_TEST = "from-env";
+    const scope = {
+      vars: { email: "a@shop.test", "order.id": "flat", user: { name: "Ada", tags: ["x", "y"] }, count: 0 },
+      extracted: [
+        { name: "orders", data: [{ id: 1001 }] },
+        { name: "orders", data: [{ id: 1002 }] }
+      ]
+    };
+    assert.equal(interpolate("{{ email }}", scope), "a@shop.test");
+    assert.equal(interpolate("{{order.id}}/{{user.name}}/{{count}}", scope), "flat/Ada/0");
+    assert.equal(interpolate("tags: {{user.tags}}", scope), 'tags: ["x","y"]');
+    assert.equal(interpolate("#order-{{extracted.orders.0.id}}", scope), "#order-1002");
+    assert.equal(interpolate("{{env.PUPETER_TEMPLATE_TEST}}", scope), "from-env");
+    assert.equal(interpolate("{{missing}} and {{extracted.none}}", scope), "{{missing}} and {{extracted.none}}");
+    assert.deepEqual(interpolate({ items: "{{ user.tags }}", ms: "{{count}}", text: "{{extracted.orders}}", missing: "{{nope}}" }, scope), {
+      items: ["x", "y"],
+      ms: 0,
+      text: [{ id: 1002 }],
+      missing: "{{nope}}"
+    });
+    delete process.env.PUPETER_TEMPLATE_TEST;
+  });
+
+  test("steps are interpolated deeply except for nested step lists", () => {
+    const step = {
+      type: "if",
+      condition: { url: { contains: "{{path}}" } },
+      then: [{ type: "type", text: "{{path}}" }],
+      items: ["{{path}}", 3, null]
+    };
+    assert.deepEqual(interpolate(step, { vars: { path: "/cart" } }), {
+      type: "if",
+      condition: { url: { contains: "/cart" } },
+      then: [{ type: "type", text: "{{path}}" }],
+      items: ["/cart", 3, null]
+    });
+    assert.equal(readPath({ a: [{ b: 2 }] }, "a.0.b"), 2);
+    assert.equal(readPath({ a: null }, "a.b.c"), undefined);
+    assert.equal(findExtracted(undefined, "orders"), undefined);
+  });
+});
@@ -0,0 +1,82 @@
+// The fixture-site workflow run by the e2e suite. It walks every page and
+// uses every step type; `{{email}}` comes from --var and the password from
+// PUPETER_SECRET_FIXTURES_PASSWORD.
+export const E2E_SITE_ID = "fixtures";
+
+export function e2eSite(baseUrl) {
+  return { id: E2E_SITE_ID, startUrl: `${baseUrl}/`, sessionCheck: { cookie: "visitor", minValidMinutes: 60 } };
+}
+
+export const e2eFlows = {
+  "load-feed": [
+    { type: "repeat", times: 3, steps: [{ type: "scroll", distance: 1200, durationMs: 400 }] },
+    { type: "assertCount", selector: ".feed-item", min: 20, timeoutMs: 5000 }
+  ]
+};
+
+export const e2eSteps = [
+  { type: "wait", ms: 200 },
+  { type: "assertTitle", equals: "Fixture Index" },
+  { type: "extract", name: "visitor", selector: "#visitor" },
+
+  { type: "click", selector: "#nav-login" },
+  { type: "assertUrl", contains: "/login.html" },
+  { type: "assertVisible", selector: "#email" },
+  { type: "type", selector: "#email", text: "{{email}}", clear: true },
+  { type: "type", selector: "#password", text: { secret: "fixtures.password" } },
+  { type: "key", key: "Enter" },
+  { type: "assertText", selector: "#user", equals: "{{email}}", timeoutMs: 5000 },
+  { type: "screenshot", filename: "account.png" },
+
+  { type: "click", selector: "#nav-widgets" },
+  { type: "assertAttribute", selector: "#status", attribute: "data-state", equals: "ready" },
+  { type: "hover", selector: "#menu", dwellMs: 300 },
+  { type: "assertVisible", selector: "#submenu" },
+  { type: "repeat", times: 3, steps: [{ type: "click", selector: "#increment" }] },
+  { type: "assertText", selector: "#count", equals: "3" },
+  { type: "key", key: "Control+k" },
+  { type: "assertText", selector: "#shortcut", equals: "triggered" },
+  {
+    type: "forEach",
+    selector: ".product",
+    limit: 3,
+    steps: [
+      {
+        type: "extract",
+        name: "product",
+        selector: "{{item}}",
+        fields: { name: ".name", price: ".price", sku: { attribute: "data-sku" } }
+      }
+    ]
+  },
+  {
+    type: "if",
+    condition: { exists: "#promo" },
+    then: [{ type: "click", selector: "#promo-close" }],
+    else: [{ type: "wait", ms: 50 }]
+  },
+  { type: "assertCount", selector: "#promo", count: 0 },
+
+  { type: "click", selector: "#nav-scroll" },
+  { type: "assertTitle", contains: "Infinite Scroll" },
+  { type: "call", flow: "load-feed" },
+
+  { type: "click", selector: "#nav-delayed" },
+  { type: "assertVisible", selector: "#late", timeoutMs: 5000 },
+  { type: "assertVisible", selector: "#loading", visible: false },
+
+  { type: "click", selector: "#nav-iframe" },
+  { type: "assertCount", selector: "iframe", count: 1 },
+  { type: "assertAttribute", selector: "#child-frame", attribute: "src", equals: "/frame.html" },
+
+  { type: "click", selector: "#nav-dialogs" },
+  { type: "click", selector: "#open-dialog" },
+  { type: "assertVisible", selector: "#modal" },
+  { type: "click", selector: "#modal-close" },
+  { type: "assertText", selector: "#answer", equals: "closed" },
+
+  { type: "click", selector: "#nav-upload" },
+  { type: "assertAttribute", selector: "#file", attribute: "accept", contains: ".csv" },
+  { type: "assertCount", selector: "input[type='file']", count: 2 },
+  { type: "screenshot", filename: "upload.png" }
+];